@@ -12,39 +12,226 @@
 // Protocol: binary packets + optional JSON lines.
 
 const net = require('net');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const path = require('path');
 const {
   PLAYER_RACE,
   PLAYER_TYPE,
   PLAYER_READY,
-  PLAYER_INDEX,
-  TEAM_INDEX,
-  ROOM_PARAM,
   PLAYER_INIT_PARAM,
-  NULL_SEPARATOR,
   ROOM_COMMANDS
 } = require('./protocol_commands');
+const { decodeCommand, encodePayload, encodeCommand } = require('./protocol_codec');
+const { MAX_FRAME_LENGTH, createFrameDecoder, pushFrameChunk } = require('./frame_decoder');
+const { loadMapCatalogue, findMap, shortMapName } = require('./map_catalogue');
+const {
+  ROOM_PARAM_COUNT,
+  ROOM_OPTION_IDS,
+  resolveRoomOptionId,
+  roomOptionName,
+  loadRoomOptionConfig,
+  createRoomParams,
+} = require('./room_options');
+const {
+  createReplayRecorder,
+  recordReplayFrame,
+  closeReplayRecorder,
+  listReplays,
+  readReplay
+} = require('./replay');
+const { createLeaderboard, loadLeaderboard, saveLeaderboard, recordMatchResult, getTopPlayers, getPlayerRank } = require('./leaderboard');
+const {
+  createBattleRecord,
+  isGoodGame,
+  noteAiDefeated,
+  noteGoodGame,
+  noteDeparture,
+  noteConcession,
+  decideOutcome
+} = require('./match_outcome');
+const {
+  TOURNAMENT_FORMATS,
+  createTournament,
+  addPlayer,
+  removePlayer,
+  seedPlayers,
+  startTournament,
+  findMatch,
+  matchPlayers,
+  readyMatches,
+  reportResult,
+  loadTournament,
+  saveTournament,
+  deleteTournament
+} = require('./tournament');
+const {
+  createPollStore,
+  openPoll,
+  getOpenPoll,
+  getLastClosedPoll,
+  nominate,
+  castVote,
+  tallyPoll,
+  pollWinners,
+  closePoll,
+  loadPolls,
+  savePolls
+} = require('./voting');
+const {
+  AI_DIFFICULTIES,
+  loadMissions,
+  createProgress,
+  loadProgress,
+  saveProgress,
+  unlockedMissionCount,
+  recordMissionComplete
+} = require('./campaign');
+const {
+  loadRateLimitConfig,
+  createClientLimiter,
+  allowFrame,
+  allowCommand,
+  isChatTooLong,
+  recordViolation,
+  totalDropped
+} = require('./rate_limiter');
+const { createMetrics, defineCounter, defineGauge, incrementCounter } = require('./metrics');
+const { createStatusServer } = require('./status_server');
+const { createWebLobby } = require('./web_lobby');
+const {
+  LOG_LEVELS,
+  LOG_CATEGORIES,
+  loggerOptionsFromEnv,
+  createLogger,
+  setLogLevel,
+  setLogCategory,
+  isLogEnabled,
+  writeLog
+} = require('./logger');
+const { createCapture, captureFrame } = require('./packet_capture');
+const { keepUnreadableFile } = require('./json_file');
 
 const PORT = process.env.PORT ? parseInt(process.env.PORT, 10) : 8888;
 const HOST = '0.0.0.0';
+const STATUS_PORT = process.env.STATUS_PORT ? parseInt(process.env.STATUS_PORT, 10) : null; // HTTP status listener is disabled when unset
+const WEB_PORT = process.env.WEB_PORT ? parseInt(process.env.WEB_PORT, 10) : null; // public web lobby page is disabled when unset
 const IDLE_TIMEOUT_MS = process.env.IDLE_TIMEOUT_MS ? parseInt(process.env.IDLE_TIMEOUT_MS, 10) : 5_000; // disconnect idle clients after 5s
 const BATTLE_PING_INTERVAL_MS = 50; // battle ping interval in milliseconds
 const BATTLE_PING_TIMEOUT_MS = 5000; // timeout if no echo received
+const LEFT_BATTLE_MISSED_PINGS = 2; // unanswered battle pings after which a client has left a decided battle
 const MAX_CLIENTS_PER_ROOM = 7; // maximum clients per room
-const VERBOSE_LOGGING = false; // global switch for extra noisy logs
+const MAX_SPECTATORS_PER_ROOM = process.env.MAX_SPECTATORS_PER_ROOM ? parseInt(process.env.MAX_SPECTATORS_PER_ROOM, 10) : 8;
+// Commands a spectator may send; everything else (gameplay, slot changes) is ignored
+const SPECTATOR_COMMANDS = new Set(['player_chat', 'begin_battle', 'battle_ping1', 'battle_ping2']);
+// Commands only sent from the lobby screen; from a client of a decided battle they mean its
+// game has left the battle (see awaitReturnToLobby)
+const LOBBY_SCREEN_COMMANDS = new Set(['player_chat', 'player_ready', 'player_name', 'player_race', 'player_team', 'player_color', 'room_param', 'begin_battle']);
+// Lobby commands that change the slot named by their slot field
+const SLOT_COMMANDS = new Set(['player_name', 'player_race', 'player_team', 'player_color']);
+const COLOR_SYNC_DELAY_MS = 1200; // let the lobby screen settle before driving colors
+const ADMIN_SECRET = process.env.ADMIN_SECRET || ''; // operator login is disabled when unset
+const MAX_LOGIN_ATTEMPTS = 3; // failed /login attempts allowed per connection
+const BOOT_EXCLUSION_MS = 5 * 60_000; // how long /boot keeps a player's address out of the room
+const MAPS_FILE = process.env.MAPS_FILE || path.join(__dirname, 'maps.json');
+const ROOM_OPTIONS_FILE = process.env.ROOM_OPTIONS_FILE || path.join(__dirname, 'room_options.json');
+const REPLAY_DIR = process.env.REPLAY_DIR ?? path.join(__dirname, 'replays'); // empty string disables recording
+const RECONNECT_GRACE_MS = process.env.RECONNECT_GRACE_MS ? parseInt(process.env.RECONNECT_GRACE_MS, 10) : 60_000; // battle slot kept after a drop
+const MAX_RECONNECT_BUFFERED_FRAMES = 20_000; // relayed frames kept for a dropped player
+const PLAYBACK_SPEED_MIN = 0.25; // slowest replay playback scaling
+const PLAYBACK_SPEED_MAX = 8; // fastest replay playback scaling
+const REPLAY_LIST_LENGTH = 10; // replays shown by /replays
+const LEADERBOARD_FILE = process.env.LEADERBOARD_FILE || path.join(__dirname, 'leaderboard.json');
+const LEADERBOARD_TOP_COUNT = 10; // players shown by /top
+const TOURNAMENT_FILE = process.env.TOURNAMENT_FILE || path.join(__dirname, 'tournament.json');
+const POLLS_FILE = process.env.POLLS_FILE || path.join(__dirname, 'polls.json');
+const VOTE_LIMIT = process.env.VOTE_LIMIT === 'connection' ? 'connection' : 'address'; // one vote per address unless set to 'connection'
+const POLL_DEFAULT_MINUTES = 10; // poll window when /poll open gives none
+const POLL_MAX_MINUTES = 7 * 24 * 60; // longest poll window; keeps the close timer within setTimeout's range
+const MISSIONS_FILE = process.env.MISSIONS_FILE || path.join(__dirname, 'missions.json');
+const CAMPAIGN_PROGRESS_FILE = process.env.CAMPAIGN_PROGRESS_FILE || path.join(__dirname, 'campaign_progress.json');
+const RATE_LIMITS_FILE = process.env.RATE_LIMITS_FILE || path.join(__dirname, 'rate_limits.json');
+const CAPTURE_FILE = process.env.CAPTURE_FILE || ''; // packet capture is disabled when unset
 
 let nextClientId = 1;
-const clients = new Map(); // id -> { id, socket, buffer, lastActivity, battlePingState, roomId, battleInitiated, mapSent }
-const rooms = new Map(); // roomId -> { id, clients: Set<clientId>, inBattle: boolean }
+const clients = new Map(); // id -> { id, socket, frameDecoder, lastActivity, battlePingState, roomId, battleInitiated, mapSent }
+const rooms = new Map(); // roomId -> { id, clients: Set<clientId>, hostClientId, inBattle: boolean, isPrivate: boolean, password: string|null }
 const roomPingCounters = new Map(); // roomId -> incremental counter for 0x71 pings
+const logger = createLogger(loggerOptionsFromEnv(process.env)); // level and categories can be changed with /log
+const mapCatalogue = loadMapCatalogue(MAPS_FILE); // first entry is the default map for new rooms
+const roomOptionConfig = loadRoomOptionConfig(ROOM_OPTIONS_FILE); // per-room room_param defaults
+const leaderboard = loadStateFile(LEADERBOARD_FILE, loadLeaderboard, createLeaderboard); // persistent win/loss and rating per player name
+let tournament = loadStateFile(TOURNAMENT_FILE, loadTournament, () => null); // the current tournament, or null when none is open
+const polls = loadStateFile(POLLS_FILE, loadPolls, createPollStore); // fan polls for tournament players, the open one plus recent results
+let pollTimer = null; // closes the open poll when its window ends
+const missions = loadMissions(MISSIONS_FILE, mapCatalogue); // campaign missions in play order; empty disables the campaign
+const campaignProgress = loadStateFile(CAMPAIGN_PROGRESS_FILE, loadProgress, createProgress); // completed missions per player name
+const rateLimitConfig = loadRateLimitConfig(RATE_LIMITS_FILE); // flood protection limits, see rate_limiter.js
+const floodStats = { dropped: {}, warnings: 0, disconnects: 0 }; // server-wide totals for /flood
+let webLobby = null; // public lobby page with live updates, see web_lobby.js
+let packetCapture = null; // every frame in and out while CAPTURE_FILE is set, see packet_capture.js
+
+// Server-wide battle events for subsystems that react to battles without being part of
+// the protocol handling. 'matchResult' (result, room): a battle's outcome was decided.
+const battleEvents = new EventEmitter();
+
+// Counters and gauges for GET /metrics on the status listener, see metrics.js
+const metrics = createMetrics();
+const serverStartedAt = Date.now();
+defineCounter(metrics, 'dc_connections_total', 'TCP connections accepted');
+defineCounter(metrics, 'dc_commands_received_total', 'Commands received from clients, by command', true);
+defineCounter(metrics, 'dc_frames_relayed_total', 'Frames relayed from a client to its room, by command', true);
+defineCounter(metrics, 'dc_unknown_commands_total', 'Frames that matched no known command');
+defineCounter(metrics, 'dc_disconnects_total', 'Client disconnects, by reason', true);
+defineCounter(metrics, 'dc_flood_dropped_total', 'Frames and commands dropped by flood protection, by kind', true);
+defineCounter(metrics, 'dc_battles_total', 'Battles started');
+defineGauge(metrics, 'dc_clients', 'Connected clients', () => clients.size);
+defineGauge(metrics, 'dc_spectators', 'Connected clients watching a room', () => [...clients.values()].filter(c => c.isSpectator).length);
+defineGauge(metrics, 'dc_rooms', 'Rooms by state', () => {
+  const states = { lobby: 0, battle: 0 };
+  for (const room of rooms.values()) states[room.inBattle ? 'battle' : 'lobby']++;
+  return Object.entries(states).map(([state, value]) => ({ labels: { state }, value }));
+});
+defineGauge(metrics, 'dc_uptime_seconds', 'Seconds since the server started', () => Math.floor((Date.now() - serverStartedAt) / 1000));
+
+// Log entries take a message and optional context fields such as
+// { clientId, roomId, slot, command }; see logger.js for levels and categories
+function log(message, fields) {
+  writeLog(logger, 'info', null, message, fields);
+}
+
+function vlog(message, fields) {
+  writeLog(logger, 'debug', null, message, fields);
+}
+
+function logWarning(message, fields) {
+  writeLog(logger, 'warn', null, message, fields);
+}
+
+function logError(message, fields) {
+  writeLog(logger, 'error', null, message, fields);
+}
+
+// A state file that cannot be loaded must not keep the server from starting: log the error,
+// keep a copy of the file (the next save replaces it) and start from an empty store
+function loadStateFile(filePath, load, createEmpty) {
+  try {
+    return load(filePath);
+  } catch (err) {
+    const copyPath = keepUnreadableFile(filePath);
+    logError(`Cannot load ${filePath}, starting empty${copyPath ? `; its contents are kept in ${copyPath}` : ''}`, { error: err });
+    return createEmpty(filePath);
+  }
+}
 
-function log(...args) {
-  const ts = new Date().toISOString();
-  console.log(`[${ts}]`, ...args);
+// Noisy traffic, shown only while its category is switched on
+function logCategory(category, message, fields) {
+  writeLog(logger, 'debug', category, message, fields);
 }
 
-function vlog(...args) {
-  if (!VERBOSE_LOGGING) return;
-  log(...args);
+// Log context of a client: its id, room and slot
+function clientFields(client, fields = {}) {
+  return { clientId: client.id, roomId: client.roomId, slot: client.playerSlotIndex, ...fields };
 }
 
 // Room management functions
@@ -63,17 +250,48 @@ function buildRoom(roomId) {
   return {
     id: roomId,
     clients: new Set(),
+    hostClientId: null, // first joiner; passes to the longest-present client when the host leaves
     inBattle: false,
+    isPrivate: false, // private rooms are only entered via /join, never by auto-assignment
+    password: null, // set on private rooms created with a password; required by /join
     playerSlots,
-    map: {
-      type: 'D',
-      playerCount: '8',
-      filename: 'PLAY01.SCN',
-      displayName: 'Armageddon\n                                 (8 Player Desert Map )'
-    }
+    map: buildRoomMap(mapCatalogue[0]),
+    params: createRoomParams(roomOptionConfig, roomId), // room_param values indexed by parameter id
+    replay: null, // replay recorder while a battle is being recorded
+    playback: null, // set on replay playback rooms, see createPlaybackRoom()
+    battle: null, // outcome tracking of the current battle, see match_outcome.js
+    awaitingLobby: null, // clientIds still on the battle screen after the outcome, see awaitReturnToLobby()
+    heldSlots: new Map(), // slotIndex -> reconnect state of a player who dropped mid-battle
+    spectators: new Set(), // clientIds watching without a slot
+    tournamentMatchId: null, // bracket match played in this room, see scheduleTournamentMatches()
+    mission: null, // campaign mission set up in this room, see startMission()
+    locked: false, // set by the host: no new players by auto-assignment or /join
+    bootedAddresses: new Map() // address -> time until which it cannot come back into this room, see /boot
+  };
+}
+
+// Room map state as sent in the room_map packet, built from a catalogue entry
+function buildRoomMap(map) {
+  return {
+    type: map.type,
+    playerCount: String(map.maxPlayers),
+    filename: map.filename,
+    displayName: map.displayName
   };
 }
 
+// Occupied slots (humans, AI and the slot 0 AI placeholder) all count against the map limit
+function getRoomCapacityError(room) {
+  const maxPlayers = parseInt(room.map.playerCount, 10) || 8;
+  const players = room.playerSlots.filter(isOccupiedSlot).length;
+  if (players <= maxPlayers) return null;
+  return `${shortMapName(room.map)} supports ${maxPlayers} players, room has ${players}. Change map or free slots before starting.`;
+}
+
+function isRoomHost(room, client) {
+  return !!room && !!client && room.hostClientId === client.id;
+}
+
 function createRoom() {
   // Find the lowest available room ID
   let roomId = 1;
@@ -84,15 +302,25 @@ function createRoom() {
   const room = buildRoom(roomId);
   rooms.set(roomId, room);
   roomPingCounters.set(roomId, 0);
-  log(`Created Room ${roomId} with 8 initialized player slots`);
+  log(`Created Room ${roomId} with 8 initialized player slots`, { roomId });
   return room;
 }
 
-function getAvailableRoom() {
-  // Find available rooms (not in battle and have free slots)
+// A booted player's address stays out of the room for BOOT_EXCLUSION_MS. Everyone sharing
+// that address (behind the same router or carrier NAT) is kept out with them, so it expires.
+function isBootedAddress(room, address) {
+  const until = room.bootedAddresses.get(address);
+  if (until === undefined) return false;
+  if (until > Date.now()) return true;
+  room.bootedAddresses.delete(address);
+  return false;
+}
+
+function getAvailableRoom(address) {
+  // Find available rooms (public, unlocked, not in battle and have free slots)
   const availableRooms = [];
   for (const room of rooms.values()) {
-    if (!room.inBattle) {
+    if (!room.inBattle && !room.isPrivate && !room.locked && !isBootedAddress(room, address)) {
       // Check if there are free slots (slots where clientId is null and type is 'none')
       const freeSlots = room.playerSlots.filter(slot => slot.clientId === null && slot.type === 'none');
       if (freeSlots.length > 0) {
@@ -123,20 +351,24 @@ function logColorMap(room, note = '') {
   const map = room.playerSlots
     .map(s => `slot${s.index}=${s.color}(${s.type})`)
     .join(' ');
-  log(`COLORMAP Room ${room.id}${note ? ' [' + note + ']' : ''}: ${map}`);
+  logCategory('color', `COLORMAP Room ${room.id}${note ? ' [' + note + ']' : ''}: ${map}`, { roomId: room.id });
 }
 
 function isOccupiedSlot(slot) {
   return slot.type === 'gamer' || slot.type === 'ai_easy' || slot.type === 'ai_hard';
 }
 
+function isAiSlot(slot) {
+  return slot.type === 'ai_easy' || slot.type === 'ai_hard';
+}
+
 // Send a single 0x6b color message. Wire format is [delta][slot_index] (confirmed in the
 // binary: emit @0x0042076C, recv handler @0x0040F110). The client applies
 // color = (color + delta) mod 8, then skips colors already used by other slots.
 function sendColorDelta(socket, slotIndex, delta) {
   const d = (((delta % 8) + 8) % 8);
   if (d === 0) return;
-  sendCommandPacket(socket, ROOM_COMMANDS.player_color, Buffer.from([d, slotIndex & 0xff]));
+  sendCommand(socket, 'player_color', { delta: d, slot: slotIndex & 0xff });
 }
 
 // Apply a color delta to the canonical (server-tracked) color of a slot, replicating the
@@ -176,7 +408,7 @@ function syncColorsForClient(room, client) {
     const delta = (((target - view[s]) % 8) + 8) % 8;
     if (delta !== 0) {
       sendColorDelta(client.socket, s, delta);
-      log(`syncColor -> client ${client.id} (own slot ${own}): slot ${s} ${view[s]}->${target} (delta ${delta})`);
+      logCategory('color', `syncColor -> client ${client.id} (own slot ${own}): slot ${s} ${view[s]}->${target} (delta ${delta})`, clientFields(client));
     }
     view[s] = target;
   }
@@ -212,22 +444,28 @@ function getAvailableColor(room) {
 
 function broadcastRoomUpdate(room, excludeClientId = null) {
   // Send updated room data and map to all connected clients in the room
-  for (const clientId of room.clients) {
+  for (const clientId of [...room.clients, ...room.spectators]) {
     if (clientId === excludeClientId) continue; // Skip the excluded client
     
     const client = clients.get(clientId);
     if (client && client.socket && !client.socket.destroyed) {
-      sendRoomData(client.socket, room, client.playerSlotIndex);
-      log(`Sent room update (including embedded map) to Client ${clientId} in Room ${room.id}`);
+      sendRoomData(client.socket, room, client.isSpectator ? client.spectatorViewSlot : client.playerSlotIndex);
+      vlog(`Sent room update (including embedded map) to Client ${clientId} in Room ${room.id}`, { clientId, roomId: room.id });
     }
   }
+  notifyWebLobby();
 }
 
-function addClientToRoom(clientId, room) {
-  // Find a free slot for the client
-  const slot = getFreeSlotInRoom(room);
-  if (!slot) {
-    log(`ERROR: No free slot available in Room ${room.id} for Client ${clientId}`);
+// Room state may have changed: let the web lobby push a fresh snapshot to its watchers
+function notifyWebLobby() {
+  if (webLobby) webLobby.notify();
+}
+
+function addClientToRoom(clientId, room, slotIndex) {
+  // Find a free slot for the client unless the caller picked one
+  const slot = slotIndex === undefined ? getFreeSlotInRoom(room) : room.playerSlots[slotIndex];
+  if (!slot || slot.clientId !== null) {
+    logError(`No free slot available in Room ${room.id} for Client ${clientId}`, { roomId: room.id, clientId });
     return null;
   }
   
@@ -238,6 +476,7 @@ function addClientToRoom(clientId, room) {
   const availableColor = getAvailableColor(room);
   
   room.clients.add(clientId);
+  if (room.hostClientId === null) room.hostClientId = clientId;
   const client = clients.get(clientId);
   if (client) {
     client.roomId = room.id;
@@ -256,39 +495,122 @@ function addClientToRoom(clientId, room) {
   if (room.colorViews) {
     for (const view of room.colorViews.values()) view[slot.index] = 0;
   }
-  log(`Client ${clientId} added to Room ${room.id} at slot ${slot.index} with canonical color ${slot.index} (availableColor was ${availableColor}). Room has ${room.clients.size} connected clients`);
+  log(`Client ${clientId} added to Room ${room.id} at slot ${slot.index} with canonical color ${slot.index} (availableColor was ${availableColor}). Room has ${room.clients.size} connected clients`, { clientId, roomId: room.id, slot: slot.index });
   logColorMap(room, 'after join');
 
   return { slotIndex: slot.index, hadExistingClients };
 }
 
+// Seat a client in a room and rebuild its lobby screen: greeting with the assigned slot,
+// full room snapshot, room update for everybody else and a delayed color sync.
+function enterRoom(client, room, requestedSlotIndex) {
+  const result = addClientToRoom(client.id, room, requestedSlotIndex);
+  if (result === null) return null;
+
+  const { slotIndex, hadExistingClients } = result;
+  sendRoomGreeting(client.socket, slotIndex);
+  sendRoomData(client.socket, room, slotIndex);
+
+  // Mark that this client has received the map (now embedded in room data) so lobby pings can start
+  client.mapSent = true;
+
+  // Broadcast room update to existing clients after new client receives map packet
+  if (hadExistingClients) {
+    broadcastRoomUpdate(room, client.id);
+    log(`Broadcasting room update to existing clients in Room ${room.id} after Client ${client.id} received map`, clientFields(client, { roomId: room.id }));
+  }
+
+  // Colors are never carried in the room snapshot, so every client renders its own guess
+  // (self = auto-picked color 1, everyone else = 0) and they diverge. Once the lobby has
+  // settled, push 0x6b deltas to drive every client to the canonical per-slot colors.
+  setTimeout(() => {
+    const r = rooms.get(room.id);
+    if (r) syncColorsAll(r);
+  }, COLOR_SYNC_DELAY_MS);
+
+  return result;
+}
+
+// Move an already connected lobby client into another room. The old room gets its usual
+// departure update; the client's screen is rebuilt from scratch for the new room.
+function moveClientToRoom(client, targetRoom, slotIndex) {
+  if (targetRoom.inBattle) return null;
+  if (slotIndex === undefined && !getFreeSlotInRoom(targetRoom)) return null;
+
+  const sourceRoomId = client.roomId;
+  removeClientFromRoom(client.id);
+  stopBattlePings(client);
+  client.roomId = null;
+  client.playerSlotIndex = null;
+  client.battleInitiated = false;
+  client.pendingReattach = null;
+
+  const result = enterRoom(client, targetRoom, slotIndex);
+  if (result) {
+    log(`Client ${client.id} moved from Room ${sourceRoomId} to Room ${targetRoom.id} slot ${result.slotIndex}`, clientFields(client, { fromRoomId: sourceRoomId }));
+  }
+  return result;
+}
+
 function resetRoomBattleState(room) {
+  clearHeldSlots(room);
+  stopReplayRecording(room, 'room reset');
+  stopPlayback(room);
   const freshRoom = buildRoom(room.id);
   room.inBattle = freshRoom.inBattle;
   room.playerSlots = freshRoom.playerSlots;
   room.map = freshRoom.map;
+  room.params = freshRoom.params;
+  room.battle = freshRoom.battle;
+  room.awaitingLobby = freshRoom.awaitingLobby;
+  room.mission = freshRoom.mission;
   roomPingCounters.set(room.id, 0);
 
-  log(`Room ${room.id} battle state reset`);
+  log(`Room ${room.id} battle state reset`, { roomId: room.id });
+}
+
+// Reset a room to its initial state and re-seat every connected client from scratch.
+function resetRoom(room) {
+  const seated = [...room.clients].map(clientId => clients.get(clientId)).filter(Boolean);
+  resetRoomBattleState(room);
+  room.clients = new Set();
+  room.colorViews = null;
+
+  for (const client of seated) {
+    stopBattlePings(client);
+    client.roomId = null;
+    client.playerSlotIndex = null;
+    client.battleInitiated = false;
+    client.pendingReattach = null;
+    enterRoom(client, room);
+  }
+  log(`Room ${room.id} reset with ${room.clients.size} client(s) re-seated`, { roomId: room.id });
 }
 
 function removeClientFromRoom(clientId) {
   const client = clients.get(clientId);
   if (!client || !client.roomId) return;
+  if (client.isSpectator) {
+    removeSpectator(client);
+    return;
+  }
   
   const room = rooms.get(client.roomId);
   if (room) {
     room.clients.delete(clientId);
+    if (room.awaitingLobby) room.awaitingLobby.delete(clientId);
+
+    if (room.battle && client.playerSlotIndex !== null) {
+      noteDeparture(room.battle, client.playerSlotIndex);
+      checkBattleOutcome(room);
+    }
+
+    handOverHost(room, clientId);
     
     // Reset the player slot
     if (client.playerSlotIndex !== undefined) {
-      const slot = room.playerSlots[client.playerSlotIndex];
-      if (slot) {
-        slot.clientId = null;
-        slot.type = 'none';
-        slot.ready = true;
-        slot.color = slot.index; // restore canonical default
-        log(`Client ${clientId} removed from Room ${room.id} slot ${client.playerSlotIndex}. Room has ${room.clients.size} connected clients`);
+      if (freeSlot(room, client.playerSlotIndex)) {
+        log(`Client ${clientId} removed from Room ${room.id} slot ${client.playerSlotIndex}. Room has ${room.clients.size} connected clients`, { clientId, roomId: room.id, slot: client.playerSlotIndex });
       }
       // Drop this client's color-view model.
       if (room.colorViews) room.colorViews.delete(client.playerSlotIndex);
@@ -297,23 +619,298 @@ function removeClientFromRoom(clientId) {
     // Broadcast room update to remaining clients when a client leaves
     if (room.clients.size > 0) {
       broadcastRoomUpdate(room);
-      log(`Broadcasting room update to remaining clients in Room ${room.id} after client departure`);
+      log(`Broadcasting room update to remaining clients in Room ${room.id} after client departure`, { roomId: room.id });
     }
+    returnRoomIfBattleLeft(room);
     
-    // Reset battle state when all clients disconnect
-    if (room.clients.size === 0) {
-      const roomId = room.id;
-      rooms.delete(roomId);
-      roomPingCounters.delete(roomId);
-
-      if (roomId === 1) {
-        createRoom();
-        log(`Room ${roomId} recreated after becoming empty`);
-      } else {
-        log(`Room ${roomId} deleted (empty)`);
+    deleteRoomIfEmpty(room);
+  }
+}
+
+// Hand the host role to the client that has been in the room the longest
+function handOverHost(room, leavingClientId) {
+  if (room.hostClientId !== leavingClientId) return;
+  const [nextHostId] = room.clients;
+  room.hostClientId = nextHostId ?? null;
+  const nextHost = clients.get(nextHostId);
+  if (nextHost) {
+    log(`Client ${nextHostId} is now host of Room ${room.id}`, { clientId: nextHostId, roomId: room.id });
+    sendPlayerChat(nextHost.socket, 'You are now the room host.');
+  }
+}
+
+function freeSlot(room, slotIndex) {
+  const slot = room.playerSlots[slotIndex];
+  if (!slot) return false;
+  slot.clientId = null;
+  slot.type = 'none';
+  slot.ready = true;
+  slot.color = slot.index; // restore canonical default
+  return true;
+}
+
+// Put an AI player into an empty slot. The game clients run the AI themselves; the server
+// only has to announce the slot. Like slot 0 it is readied once every human is ready.
+// Callers push the change with broadcastRoomUpdate() and a color sync.
+function setSlotAi(room, slotIndex, difficulty, race, team) {
+  const slot = room.playerSlots[slotIndex];
+  if (!slot || slot.clientId !== null || slot.index === 0 || (slot.type !== 'none' && !isAiSlot(slot))) return false;
+  slot.type = difficulty === 'hard' ? 'ai_hard' : 'ai_easy';
+  slot.name = `${difficulty === 'hard' ? 'Hard' : 'Easy'} AI ${slot.index}`;
+  slot.race = race;
+  slot.team = team;
+  slot.ready = false;
+  slot.color = slot.index;
+  // Like a joining player, the new slot shows color 0 on every screen until synced
+  if (room.colorViews) {
+    for (const view of room.colorViews.values()) view[slot.index] = 0;
+  }
+  log(`Room ${room.id}: slot ${slot.index} is now ${slot.type} (${race}, team ${team})`, { roomId: room.id, slot: slot.index });
+  return true;
+}
+
+function clearSlotAi(room, slotIndex) {
+  const slot = room.playerSlots[slotIndex];
+  if (!slot || !isAiSlot(slot)) return false;
+  freeSlot(room, slotIndex);
+  slot.name = `Player${slot.index}`;
+  log(`Room ${room.id}: AI removed from slot ${slot.index}`, { roomId: room.id, slot: slot.index });
+  return true;
+}
+
+// Reset battle state when all clients disconnect (and nobody may still reconnect)
+function deleteRoomIfEmpty(room) {
+  if (room.clients.size > 0 || room.heldSlots.size > 0) return;
+  const roomId = room.id;
+  // Nothing left to watch: spectators go back to a lobby
+  for (const spectatorId of [...room.spectators]) {
+    const spectator = clients.get(spectatorId);
+    if (!spectator) continue;
+    removeSpectator(spectator);
+    sendPlayerChat(spectator.socket, `Room ${roomId} closed.`);
+    enterRoom(spectator, getAvailableRoom(spectator.socket.remoteAddress));
+  }
+  stopReplayRecording(room, 'room empty');
+  stopPlayback(room);
+  rooms.delete(roomId);
+  roomPingCounters.delete(roomId);
+
+  if (roomId === 1) {
+    createRoom();
+    log(`Room ${roomId} recreated after becoming empty`, { roomId });
+  } else {
+    log(`Room ${roomId} deleted (empty)`, { roomId });
+  }
+}
+
+// Spectators watch a room without a slot. Their client is shown the room from the seat of
+// one player (the "view" slot) and receives every relayed command, the same stream that
+// player's client receives, so joining before the battle starts gives a complete view.
+function addSpectator(client, room, viewSlotIndex) {
+  room.spectators.add(client.id);
+  client.roomId = room.id;
+  client.playerSlotIndex = null;
+  client.isSpectator = true;
+  client.spectatorViewSlot = viewSlotIndex;
+  client.battleInitiated = false;
+
+  sendRoomGreeting(client.socket, viewSlotIndex);
+  sendRoomData(client.socket, room, viewSlotIndex);
+  client.mapSent = true;
+  log(`Client ${client.id} is spectating Room ${room.id} from slot ${viewSlotIndex}. Room has ${room.spectators.size} spectator(s)`, clientFields(client, { roomId: room.id, slot: viewSlotIndex }));
+}
+
+function removeSpectator(client) {
+  const room = rooms.get(client.roomId);
+  if (room) room.spectators.delete(client.id);
+  stopBattlePings(client);
+  client.isSpectator = false;
+  client.spectatorViewSlot = null;
+  client.roomId = null;
+  log(`Client ${client.id} stopped spectating Room ${room ? room.id : '?'}`, clientFields(client, { roomId: room?.id }));
+}
+
+// A player whose connection drops mid-battle keeps their slot for RECONNECT_GRACE_MS.
+// Commands relayed meanwhile are buffered and replayed once they are back.
+function canHoldSlot(room, client) {
+  return !!room && room.inBattle && !!room.battle && !room.battle.result && !room.playback &&
+    RECONNECT_GRACE_MS > 0 && client.playerSlotIndex !== null;
+}
+
+function holdSlotForReconnect(room, client) {
+  const slotIndex = client.playerSlotIndex;
+  const slot = room.playerSlots[slotIndex];
+  room.clients.delete(client.id);
+  handOverHost(room, client.id);
+  slot.clientId = null; // type stays 'gamer' so the slot is not handed out
+
+  // Dropped again before resuming: the commands still waiting from the last reconnect stay
+  const pending = client.pendingReattach;
+  const pingState = client.battlePingState;
+  client.pendingReattach = null;
+  const held = {
+    slotIndex,
+    name: slot.name,
+    address: client.socket.remoteAddress,
+    pingCounter: pending ? pending.pingCounter : (pingState ? pingState.counter : 0),
+    initialPacketCounter: pending ? pending.initialPacketCounter : (pingState ? pingState.initialPacketCounter : 0),
+    frames: pending ? pending.frames : [],
+    droppedFrames: pending ? pending.droppedFrames : 0,
+    timer: setTimeout(() => releaseHeldSlot(room, slotIndex), RECONNECT_GRACE_MS)
+  };
+  room.heldSlots.set(slotIndex, held);
+  log(`Room ${room.id}: holding slot ${slotIndex} ("${held.name}" from ${held.address}) for ${RECONNECT_GRACE_MS}ms after Client ${client.id} dropped`, clientFields(client, { roomId: room.id, slot: slotIndex }));
+}
+
+// Grace period over: the player has left the battle for good
+function releaseHeldSlot(room, slotIndex) {
+  const held = room.heldSlots.get(slotIndex);
+  if (!held) return;
+  room.heldSlots.delete(slotIndex);
+  log(`Room ${room.id}: slot ${slotIndex} ("${held.name}") not reclaimed in time, releasing`, { roomId: room.id, slot: slotIndex });
+
+  if (room.battle) {
+    noteDeparture(room.battle, slotIndex);
+    checkBattleOutcome(room);
+  }
+  freeSlot(room, slotIndex);
+  if (room.clients.size > 0) broadcastRoomUpdate(room);
+  deleteRoomIfEmpty(room);
+}
+
+// Drop every held slot without counting a departure (battle over or room reset)
+function clearHeldSlots(room) {
+  for (const [slotIndex, held] of room.heldSlots) {
+    clearTimeout(held.timer);
+    freeSlot(room, slotIndex);
+  }
+  room.heldSlots.clear();
+}
+
+function bufferFrame(held, commandName, data) {
+  if (held.frames.length >= MAX_RECONNECT_BUFFERED_FRAMES) {
+    held.droppedFrames++;
+    return;
+  }
+  held.frames.push({ commandName, data: Buffer.from(data || []) });
+}
+
+function bufferFrameForHeldSlots(room, commandName, data) {
+  for (const held of room.heldSlots.values()) bufferFrame(held, commandName, data);
+}
+
+// Find a held slot matching a reconnecting player's name and address
+function findHeldSlot(name, address) {
+  for (const room of rooms.values()) {
+    for (const held of room.heldSlots.values()) {
+      if (held.address === address && held.name === name) return { room, held };
+    }
+  }
+  return null;
+}
+
+// Put a reconnected client back into its battle seat and leave the lobby it was auto-assigned
+// to. Battle pings and the commands it missed wait for its begin_battle (resumeReattachedClient):
+// until then the client is still loading the battle.
+function reattachClient(client, room, held) {
+  removeClientFromRoom(client.id);
+  clearTimeout(held.timer);
+  room.heldSlots.delete(held.slotIndex);
+
+  const slot = room.playerSlots[held.slotIndex];
+  slot.clientId = client.id;
+  room.clients.add(client.id);
+  if (room.hostClientId === null) room.hostClientId = client.id;
+  client.roomId = room.id;
+  client.playerSlotIndex = held.slotIndex;
+  client.battleInitiated = false;
+  client.mapSent = true;
+  client.pendingReattach = {
+    pingCounter: held.pingCounter,
+    initialPacketCounter: held.initialPacketCounter,
+    frames: held.frames,
+    droppedFrames: held.droppedFrames
+  };
+
+  stopBattlePings(client);
+  sendRoomGreeting(client.socket, held.slotIndex);
+  sendRoomData(client.socket, room, held.slotIndex);
+  log(`Client ${client.id} reattached to Room ${room.id} slot ${held.slotIndex} ("${held.name}"), ${held.frames.length} buffered frame(s) waiting for begin_battle`, clientFields(client));
+}
+
+// The reattached client has loaded the battle: resume battle pings where they stopped and
+// replay the commands it missed, including those relayed while it was loading
+function resumeReattachedClient(client) {
+  const pending = client.pendingReattach;
+  client.pendingReattach = null;
+
+  stopBattlePings(client);
+  client.battlePingState = {
+    counter: pending.pingCounter,
+    initialPacketCounter: pending.initialPacketCounter,
+    waitingForEcho: false,
+    timeoutId: null,
+    lastPingSentAt: null,
+    latencyMs: null // last battle ping round trip
+  };
+  sendNextBattlePing(client);
+
+  for (const frame of pending.frames) {
+    sendCommandPacket(client.socket, ROOM_COMMANDS[frame.commandName], frame.data);
+  }
+  log(`Client ${client.id} resumed the battle in Room ${client.roomId}, replayed ${pending.frames.length} buffered frame(s)${pending.droppedFrames ? `, ${pending.droppedFrames} dropped` : ''}`, clientFields(client));
+}
+
+// Mark a slot ready, tell the room, and once every connected client is ready also mark
+// the first slot (AI) as ready.
+function markSlotReady(room, slotIndex) {
+  const slot = room.playerSlots[slotIndex];
+  if (!slot) return;
+
+  const capacityError = getRoomCapacityError(room);
+  if (capacityError) {
+    log(`Room ${room.id}: refusing ready for slot ${slotIndex}: ${capacityError}`, { roomId: room.id, slot: slotIndex });
+    slot.ready = false;
+    broadcastCommand(room, 'player_ready', { state: PLAYER_READY.not_ready[0], slot: slotIndex });
+    broadcastRoomChat(room, `[server] ${capacityError}`);
+    return;
+  }
+
+  slot.ready = true;
+  log(`Updated slot ${slotIndex} ready state to true in Room ${room.id}`, { slot: slotIndex, roomId: room.id });
+
+  // Broadcast to all clients in the room
+  broadcastCommand(room, 'player_ready', { state: PLAYER_READY.ready_for_battle[0], slot: slotIndex });
+
+  readyAiSlotsIfClientsReady(room);
+}
+
+// Once every connected client is ready, the AI players follow
+function readyAiSlotsIfClientsReady(room) {
+  // Check if all connected clients (gamers) are ready
+  let allClientsReady = true;
+  for (const clientId of room.clients) {
+    const c = clients.get(clientId);
+    if (c && c.playerSlotIndex !== undefined) {
+      const s = room.playerSlots[c.playerSlotIndex];
+      if (s && !s.ready && s.type !== 'none') {
+        allClientsReady = false;
+        break;
       }
     }
   }
+
+  // If all clients are ready, mark the first slot (AI) and any AI players as ready and broadcast
+  if (allClientsReady && room.clients.size > 0) {
+    for (const aiSlot of room.playerSlots) {
+      if ((aiSlot.index !== 0 && !isAiSlot(aiSlot)) || aiSlot.ready) continue;
+      aiSlot.ready = true;
+      log(`All clients ready in Room ${room.id}. Marking AI slot ${aiSlot.index} as ready.`, { roomId: room.id, slot: aiSlot.index });
+
+      // Broadcast AI ready status to all clients
+      broadcastCommand(room, 'player_ready', { state: PLAYER_READY.ready_for_battle[0], slot: aiSlot.index });
+    }
+  }
 }
 
 function checkAllClientsInitiatedBattle(room) {
@@ -330,33 +927,228 @@ function checkAllClientsInitiatedBattle(room) {
 
 function startRoomBattle(room) {
   room.inBattle = true;
-  log(`Room ${room.id} battle started with ${room.clients.size} players. Room is now locked.`);
+  notifyWebLobby();
+  log(`Room ${room.id} battle started with ${room.clients.size} players. Room is now locked.`, { roomId: room.id });
+  if (room.playback) {
+    startPlayback(room);
+  } else {
+    room.battle = createBattleRecord(room);
+    startReplayRecording(room);
+    incrementCounter(metrics, 'dc_battles_total');
+  }
+}
+
+// The outcome is inferred while the winners may still be playing, so a decided battle keeps
+// its room until every client's game has left the battle screen: the client sends a lobby
+// command or stops answering battle pings. Until then the room stays closed to new players.
+function awaitReturnToLobby(room) {
+  room.awaitingLobby = new Set(room.clients);
+  broadcastCommand(room, 'battle_chat', { header: [0x06, 0xff], message: '[server] Battle over. Leave the battle to return to the lobby.' });
+  returnRoomIfBattleLeft(room);
+}
+
+// The client's game has left a decided battle; returns false if it was not awaited
+function noteLeftBattle(client, reason) {
+  const room = rooms.get(client.roomId);
+  if (!room || !room.awaitingLobby || !room.awaitingLobby.delete(client.id)) return false;
+  stopBattlePings(client);
+  log(`Client ${client.id} left the decided battle in Room ${room.id} (${reason}), ${room.awaitingLobby.size} still in it`, clientFields(client, { roomId: room.id }));
+  returnRoomIfBattleLeft(room);
+  return true;
+}
+
+function returnRoomIfBattleLeft(room) {
+  if (!room.awaitingLobby || room.awaitingLobby.size > 0) return;
+  room.awaitingLobby = null;
+  if (rooms.get(room.id) === room && room.clients.size > 0) returnRoomToLobby(room);
+  scheduleTournamentMatches(); // players whose next match waited for this battle are free now
+}
+
+// Put a room whose battle is over back into lobby state so its players can rematch without
+// reconnecting. Players keep their slots, names, races, teams and colors; ready flags and
+// battle progress start over and every client gets a fresh lobby screen.
+function returnRoomToLobby(room) {
+  room.inBattle = false;
+  room.battle = null;
+  room.awaitingLobby = null;
+  clearHeldSlots(room);
+  stopReplayRecording(room, 'returned to lobby');
+  roomPingCounters.set(room.id, 0);
+
+  for (const slot of room.playerSlots) {
+    if (slot.clientId !== null || slot.index === 0 || isAiSlot(slot)) slot.ready = false;
+  }
+  for (const clientId of [...room.clients, ...room.spectators]) {
+    const client = clients.get(clientId);
+    if (!client) continue;
+    stopBattlePings(client);
+    client.battleInitiated = false;
+    client.pendingReattach = null;
+  }
+  log(`Room ${room.id} returned to lobby with ${room.clients.size} client(s)`, { roomId: room.id });
+  rebuildLobbyScreens(room);
+}
+
+// Resend greeting and snapshot to every client in the room. The lobby screen starts over
+// with the client's own default colors, so the color views are rebuilt from scratch too.
+function rebuildLobbyScreens(room) {
+  room.colorViews = null;
+  for (const clientId of [...room.clients, ...room.spectators]) {
+    const client = clients.get(clientId);
+    if (!client || !client.socket || client.socket.destroyed) continue;
+    const slotIndex = client.isSpectator ? client.spectatorViewSlot : client.playerSlotIndex;
+    sendRoomGreeting(client.socket, slotIndex);
+    sendRoomData(client.socket, room, slotIndex);
+  }
+  setTimeout(() => {
+    const r = rooms.get(room.id);
+    if (r) syncColorsAll(r);
+  }, COLOR_SYNC_DELAY_MS);
+}
+
+// Emit the match result once the departures and concessions so far decide the battle
+function checkBattleOutcome(room) {
+  if (!room.battle || room.battle.result) return;
+  const result = decideOutcome(room.battle);
+  if (!result) return;
+
+  const names = (players) => players.map(p => p.name).join(', ') || '-';
+  log(`Room ${room.id} battle over (${result.reason}) after ${Math.round(result.durationMs / 1000)}s: winners ${names(result.winners)}; losers ${names(result.losers)}`, { roomId: room.id });
+  battleEvents.emit('matchResult', result, room);
+}
+
+function startReplayRecording(room) {
+  if (!REPLAY_DIR) return;
+  stopReplayRecording(room, 'new battle');
+  try {
+    room.replay = createReplayRecorder(REPLAY_DIR, room, (err) => {
+      logError(`Room ${room.id}: replay recording failed: ${err.message}`, { roomId: room.id });
+      room.replay = null;
+    });
+    log(`Room ${room.id}: recording replay to ${room.replay.filePath}`, { roomId: room.id });
+  } catch (err) {
+    logError(`Room ${room.id}: could not start replay recording: ${err.message}`, { roomId: room.id });
+    room.replay = null;
+  }
+}
+
+// Seat a client in a playback room for a loaded replay, unless they left while it was loading
+function startReplayPlayback(client, replay, fileName, speed, slotArg) {
+  if (clients.get(client.id) !== client || !client.socket || client.socket.destroyed) return;
+
+  // Watch from the requested seat, by default the first recorded human player
+  const humanSlots = replay.header.snapshot.slots.filter(slot => slot.human).map(slot => slot.index);
+  const slotIndex = slotArg === undefined ? humanSlots[0] : parseInt(slotArg, 10);
+  if (!humanSlots.includes(slotIndex)) {
+    sendPlayerChat(client.socket, `Pick a recorded player slot: ${humanSlots.join(', ') || 'none'}.`);
+    return;
+  }
+
+  const room = createPlaybackRoom(client, replay, fileName, speed, slotIndex);
+  if (!room) {
+    sendPlayerChat(client.socket, 'Could not start the replay.');
+    return;
+  }
+  sendPlayerChat(client.socket, `Replay ${fileName} loaded in Room ${room.id}. Start the battle to watch.`);
+}
+
+// Playback rooms are rebuilt from a replay snapshot. The viewing client takes the seat of
+// one recorded player; in a live battle every client receives every relayed command
+// (its own included), so replaying the recorded stream to that seat reproduces the battle
+// from that player's point of view. The viewer's own gameplay input is never relayed.
+function createPlaybackRoom(client, replay, fileName, speed, slotIndex) {
+  const { snapshot } = replay.header;
+  const room = createRoom();
+  room.isPrivate = true;
+  room.map = { ...snapshot.map };
+  room.params = [...snapshot.params];
+  for (const recorded of snapshot.slots) {
+    Object.assign(room.playerSlots[recorded.index], {
+      name: recorded.name,
+      race: recorded.race,
+      type: recorded.type,
+      team: recorded.team,
+      color: recorded.color,
+      ready: true,
+      clientId: null
+    });
+  }
+  room.playback = { fileName, frames: replay.frames, speed, nextFrame: 0, startedAt: null, timer: null };
+
+  // The seat is taken over by the viewer; give it back the recorded color afterwards
+  room.playerSlots[slotIndex].type = 'none';
+  if (!moveClientToRoom(client, room, slotIndex)) {
+    rooms.delete(room.id);
+    roomPingCounters.delete(room.id);
+    return null;
+  }
+  room.playerSlots[slotIndex].color = snapshot.slots[slotIndex].color;
+  log(`Room ${room.id}: replay playback of ${fileName} for Client ${client.id} as slot ${slotIndex} at ${speed}x`, clientFields(client, { roomId: room.id, slot: slotIndex }));
+  return room;
+}
+
+function startPlayback(room) {
+  const playback = room.playback;
+  playback.startedAt = Date.now();
+  log(`Room ${room.id}: replay playback started (${playback.frames.length} frames)`, { roomId: room.id });
+  scheduleNextPlaybackFrame(room);
+}
+
+function scheduleNextPlaybackFrame(room) {
+  const playback = room.playback;
+  if (!playback) return;
+  if (playback.nextFrame >= playback.frames.length) {
+    log(`Room ${room.id}: replay playback of ${playback.fileName} finished`, { roomId: room.id });
+    broadcastCommand(room, 'battle_chat', { header: [0x06, 0xff], message: 'Replay finished' });
+    return;
+  }
+
+  const dueAt = (frame) => playback.startedAt + frame.t / playback.speed;
+  playback.timer = setTimeout(() => {
+    playback.timer = null;
+    // Send everything that is due; timer granularity would otherwise stretch bursts of frames
+    const now = Date.now();
+    while (playback.nextFrame < playback.frames.length && dueAt(playback.frames[playback.nextFrame]) <= now) {
+      const frame = playback.frames[playback.nextFrame++];
+      if (ROOM_COMMANDS[frame.cmd]) broadcastCommandPacket(room, ROOM_COMMANDS[frame.cmd], frame.data);
+    }
+    scheduleNextPlaybackFrame(room);
+  }, Math.max(0, dueAt(playback.frames[playback.nextFrame]) - Date.now()));
+}
+
+function stopPlayback(room) {
+  if (!room.playback) return;
+  if (room.playback.timer) clearTimeout(room.playback.timer);
+  room.playback = null;
+}
+
+function stopReplayRecording(room, reason, extra) {
+  if (!room.replay) return;
+  closeReplayRecorder(room.replay, reason, extra);
+  log(`Room ${room.id}: replay ${room.replay.filePath} closed (${reason}, ${room.replay.frameCount} frames)`, { roomId: room.id });
+  room.replay = null;
 }
 
 function safeWrite(socket, data) {
   if (!socket || socket.destroyed) return false;
-  // Added detailed logging of what is being written
+  // Detailed logging of what is being written, only built while the packet category is on
   try {
-    const isBuffer = Buffer.isBuffer(data);
-    const length = isBuffer ? data.length : Buffer.byteLength(data, 'utf8');
-    // Produce a preview (hex for buffers, plain for strings) limited in size
-    let preview;
-    if (isBuffer) {
-      preview = data.toString('hex');
-      if (preview.length > 160) preview = preview.slice(0, 160) + '...';
-    } else {
-      preview = data;
+    if (isLogEnabled(logger, 'debug', 'packet')) {
+      const isBuffer = Buffer.isBuffer(data);
+      const length = isBuffer ? data.length : Buffer.byteLength(data, 'utf8');
+      // Produce a preview (hex for buffers, plain for strings) limited in size
+      let preview = isBuffer ? data.toString('hex') : data;
       if (preview.length > 160) preview = preview.slice(0, 160) + '...';
+      logCategory('packet', `safeWrite -> ${isBuffer ? 'Buffer' : 'String'} len=${length} preview=${preview}`);
     }
-    vlog(`safeWrite -> ${isBuffer ? 'Buffer' : 'String'} len=${length} preview=${preview}`);
 
     const ok = socket.write(data);
     if (!ok) {
-      socket.once('drain', () => log('Socket drain event (backpressure relieved)'));
+      socket.once('drain', () => vlog('Socket drain event (backpressure relieved)'));
     }
     return ok;
   } catch (err) {
-    log('Write error:', err.message);
+    logError('Write error', { error: err });
     return false;
   }
 }
@@ -365,65 +1157,68 @@ function send(socket, obj) {
   safeWrite(socket, JSON.stringify(obj) + '\n');
 }
 
-function disconnect(id, reason) {
-  const client = clients.get(id);
-  if (!client) return;
-  
-  // Remove from room first
-  removeClientFromRoom(id);
-  
-  // Clean up battle ping state if exists
+// Clean up battle ping state if exists
+function stopBattlePings(client) {
   if (client.battlePingState) {
     if (client.battlePingState.timeoutId) {
       clearTimeout(client.battlePingState.timeoutId);
     }
     client.battlePingState = null;
   }
+}
+
+// reason is a short fixed label (counted in dc_disconnects_total); detail only goes to the log
+function disconnect(id, reason, allowReconnect = true, detail = null) {
+  const client = clients.get(id);
+  if (!client) return;
+  
+  // Remove from room first, unless the slot is held for a reconnect
+  const room = rooms.get(client.roomId);
+  if (allowReconnect && canHoldSlot(room, client)) {
+    holdSlotForReconnect(room, client);
+  } else {
+    removeClientFromRoom(id);
+  }
+  
+  stopBattlePings(client);
   try { client.socket.destroy(); } catch (_) { /* ignore */ }
   clients.delete(id);
-  log(`Client ${id} disconnected${reason ? ' (' + reason + ')' : ''}. Active: ${clients.size}`);
+  incrementCounter(metrics, 'dc_disconnects_total', { reason });
+  notifyWebLobby();
+  log(`Client ${id} disconnected (${reason}${detail ? ': ' + detail : ''}). Active: ${clients.size}`, { clientId: id, reason });
 }
 
 function sendRoomGreeting(socket, playerSlotIndex) {
-  const playerIndexBytes = PLAYER_INDEX[`p${playerSlotIndex}`];
-  sendCommandPacket(socket, ROOM_COMMANDS.initial_packet, Buffer.from([...PLAYER_INIT_PARAM.player_index, ...NULL_SEPARATOR, ...playerIndexBytes, ...NULL_SEPARATOR]));
-  log(`Sent initial binary packet to client (assigned to slot ${playerSlotIndex})`);
+  sendCommand(socket, 'initial_packet', { param: PLAYER_INIT_PARAM.player_index[0], slot: playerSlotIndex });
+  vlog(`Sent initial binary packet to client (assigned to slot ${playerSlotIndex})`, { slot: playerSlotIndex });
 }
 
-function buildMapBytes(room) {
+function buildMapFields(room) {
   // Use map data from room if provided, otherwise use defaults
-  const mapType = room?.map?.type || 'D';
-  const playerCount = room?.map?.playerCount || '8';
-  const filename = room?.map?.filename || 'PLAY01.SCN';
-  const displayName = room?.map?.displayName || 'Armageddon\n                                 (8 Player Desert Map )';
-
-  return [
-    ...Buffer.from(mapType, 'ascii'), // map type J=0x4a or D=0x44
-    ...Buffer.from(playerCount, 'ascii'), // '8'=0x38 players count
-    ...Buffer.from(filename + '\0', 'ascii'), // null-terminated
-    ...Buffer.from(displayName + '\0', 'ascii'), // display name
-  ];
+  return {
+    mapType: room?.map?.type || 'D', // map type J=0x4a or D=0x44
+    playerCount: room?.map?.playerCount || '8', // '8'=0x38 players count
+    filename: room?.map?.filename || 'PLAY01.SCN',
+    displayName: room?.map?.displayName || 'Armageddon\n                                 (8 Player Desert Map )'
+  };
 }
 
 function sendRoomData(socket, room, currentSlotIndex = null) {
   // Embed the map data directly into the initial dataset instead of a placeholder
-  const bytesMap = buildMapBytes(room);
+  const mapFields = buildMapFields(room);
 
   // Initialize all player slots except the current client
   const bytesInit = [];
   for (let i = 0; i < 8; i++) {
     if (i === currentSlotIndex) continue; // Skip the current client's slot
-    bytesInit.push(...ROOM_COMMANDS.player_init, ...NULL_SEPARATOR, ...PLAYER_INDEX[`p${i}`]);
+    bytesInit.push(encodeCommand('player_init', { state: 0x00, slot: i }));
   }
   
   // Build player data dynamically based on room state
   const playerBytesArray = [];
   let currentPlayerBytes = null;
   for (const slot of room.playerSlots) {
-    const playerIndex = PLAYER_INDEX[`p${slot.index}`];
     const playerRace = slot.race === 'humans' ? PLAYER_RACE.humans : PLAYER_RACE.aliens;
-    const playerType = PLAYER_TYPE[slot.type];
-    const playerTeam = TEAM_INDEX[`t${slot.team}`];
     // Gamer/AI slots (including slot 0) must NEVER report the bare ready (0x00) state; they are
     // either not_ready (0x01) or ready_for_battle (0x02). The 0x00 state is reserved for empty
     // ('none') slots. This also lets the snapshot convey battle-readiness to late joiners.
@@ -432,12 +1227,12 @@ function sendRoomData(socket, room, currentSlotIndex = null) {
       : PLAYER_READY.ready;
     
     const playerBytes = [
-      ...ROOM_COMMANDS.player_name, ...playerIndex, ...NULL_SEPARATOR, ...Buffer.from(slot.name + '\0', 'ascii'),
-      ...ROOM_COMMANDS.player_race, ...playerRace, ...playerIndex,
-      ...ROOM_COMMANDS.player_type, ...playerType, ...playerIndex,
-      ...(slot.index === currentSlotIndex ? [...ROOM_COMMANDS.player_init, 0x01, ...playerIndex] : []), // client must set init state for their own slot
-      ...ROOM_COMMANDS.player_team2, ...playerTeam, ...playerIndex,
-      ...ROOM_COMMANDS.player_ready, ...playerReady, ...playerIndex
+      encodeCommand('player_name', { slot: slot.index, name: slot.name }),
+      encodeCommand('player_race', { race: playerRace[0], slot: slot.index }),
+      encodeCommand('player_type', { type: PLAYER_TYPE[slot.type][0], slot: slot.index }),
+      ...(slot.index === currentSlotIndex ? [encodeCommand('player_init', { state: 0x01, slot: slot.index })] : []), // client must set init state for their own slot
+      encodeCommand('player_team2', { team: slot.team, slot: slot.index }),
+      encodeCommand('player_ready', { state: playerReady[0], slot: slot.index })
     ];
 
     if (slot.index === currentSlotIndex) {
@@ -453,41 +1248,26 @@ function sendRoomData(socket, room, currentSlotIndex = null) {
     playerBytesArray.push(currentPlayerBytes);
   }
   
-  const bytesParams = [
-    ...ROOM_COMMANDS.room_param, 0x00, 0x00, 0x00, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x01, 0x00, 0x00, 0x00,
-    ...ROOM_COMMANDS.room_param, ...ROOM_PARAM.erupting_vents, 0x00, 0x01, 0x00,
-    ...ROOM_COMMANDS.room_param, ...ROOM_PARAM.renewable_vents, 0x00, 0x00, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x04, 0x00, 0x04, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x05, 0x00, 0x04, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x06, 0x00, 0x00, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x07, 0x00, 0x5b, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x08, 0x00, 0x01, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x09, 0x00, 0x00, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x0a, 0x00, 0x00, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x0b, 0x00, 0x00, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x0c, 0x00, 0x00, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x0d, 0x00, 0x00, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x0e, 0x00, 0x00, 0x00,
-    ...ROOM_COMMANDS.room_param, 0x0f, 0x00, 0x00, 0x00
-  ];
+  const bytesParams = [];
+  for (let id = 0; id < ROOM_PARAM_COUNT; id++) {
+    bytesParams.push(encodeCommand('room_param', { id, value: room.params[id] }));
+  }
   
-  const allBytes = [
-    ...bytesMap,
+  const commands = Buffer.concat([
     ...bytesInit,
     ...playerBytesArray.flat(),
     ...bytesParams
-  ];
+  ]);
 
-  sendCommandPacket(socket, ROOM_COMMANDS.room_map, Buffer.from(allBytes));
-  log('Sent second binary init packet (length=' + allBytes.length + ')');
+  sendCommand(socket, 'room_map', { ...mapFields, commands });
+  vlog('Sent second binary init packet (' + commands.length + ' bytes of lobby commands)');
 }
 
 function sendMapPacket(socket, room) {
-  const room_map = Buffer.from(buildMapBytes(room));
+  const mapFields = buildMapFields(room);
 
-  sendCommandPacket(socket, ROOM_COMMANDS.room_map, Buffer.from(room_map));
-  log('Sent map packet (length=' + room_map.length + ')');
+  sendCommand(socket, 'room_map', mapFields);
+  vlog('Sent map packet (' + mapFields.filename + ')');
 }
 
 function sendMapPacketDelayed(socket, room, delayMs = 2000) {
@@ -500,7 +1280,7 @@ function sendMapPacketDelayed(socket, room, delayMs = 2000) {
 // Generic command packet helper: builds [commandBytes...][data bytes][0x00 terminator]
 function sendCommandPacket(socket, command, data) {
   if (!socket || socket.destroyed) {
-    log('sendCommandPacket: socket invalid/destroyed');
+    logWarning('sendCommandPacket: socket invalid/destroyed');
     return; // no value returned
   }
   let commandBuf;
@@ -521,7 +1301,7 @@ function sendCommandPacket(socket, command, data) {
       throw new TypeError('command must be number | number[] | Buffer');
     }
   } catch (e) {
-    log('sendCommandPacket command error:', e.message);
+    logError('sendCommandPacket command error', { error: e });
     return; // stop on invalid command
   }
 
@@ -539,8 +1319,8 @@ function sendCommandPacket(socket, command, data) {
   if (socket.__packetCounter === undefined) socket.__packetCounter = 0x00;
   
   const totalLen = 2 + payload.length + 1;
-  if (totalLen > 0x0FFF) {
-    log('sendCommandPacket: packet too long (max 4095 bytes): ' + totalLen);
+  if (totalLen > MAX_FRAME_LENGTH) {
+    logWarning('sendCommandPacket: packet too long (max 4095 bytes): ' + totalLen);
     return;
   }
 
@@ -568,14 +1348,26 @@ function sendCommandPacket(socket, command, data) {
       const buf = Buffer.isBuffer(value) ? value : Buffer.from(value);
       return buf.equals(commandBuf);
     })?.[0] || cmdHex;
-  vlog(`Send command [clientCounter=0x${counterNibble.toString(16)}] command=${commandName} len=${totalLen} (low=0x${lenLow.toString(16).padStart(2,'0')} high=0x${lenHigh.toString(16)}) payloadLen=${payload.length}`);
+  if (packetCapture) {
+    const client = clients.get(socket.__clientId);
+    captureFrame(packetCapture, {
+      dir: 'out',
+      client: socket.__clientId ?? null,
+      room: client?.roomId,
+      slot: client?.playerSlotIndex,
+      counter: counterNibble,
+      cmd: ROOM_COMMANDS[commandName] ? commandName : null,
+      body: packet.subarray(2)
+    });
+  }
+  logCategory('packet', `Send command [clientCounter=0x${counterNibble.toString(16)}] command=${commandName} len=${totalLen} (low=0x${lenLow.toString(16).padStart(2,'0')} high=0x${lenHigh.toString(16)}) payloadLen=${payload.length}`);
   safeWrite(socket, packet);
   // Purposefully no return value
 }
 
-// Broadcast a command packet to all clients in a room
+// Broadcast a command packet to all clients (and spectators) in a room
 function broadcastCommandPacket(room, command, data, excludeClientId = null) {
-  for (const clientId of room.clients) {
+  for (const clientId of [...room.clients, ...room.spectators]) {
     if (clientId === excludeClientId) continue;
     
     const client = clients.get(clientId);
@@ -585,51 +1377,1312 @@ function broadcastCommandPacket(room, command, data, excludeClientId = null) {
   }
 }
 
+// Send a command built from its named fields (COMMAND_LAYOUTS in protocol_commands.js)
+function sendCommand(socket, name, fields) {
+  let data;
+  try {
+    data = encodePayload(name, fields);
+  } catch (e) {
+    logError(`sendCommand: cannot encode ${name}`, { error: e });
+    return;
+  }
+  sendCommandPacket(socket, ROOM_COMMANDS[name], data);
+}
+
+// Broadcast a command built from its named fields to all clients (and spectators) in a room
+function broadcastCommand(room, name, fields, excludeClientId = null) {
+  let data;
+  try {
+    data = encodePayload(name, fields);
+  } catch (e) {
+    logError(`broadcastCommand: cannot encode ${name}`, { error: e });
+    return;
+  }
+  broadcastCommandPacket(room, ROOM_COMMANDS[name], data, excludeClientId);
+}
+
+// Relay a command from a client to its whole room, recording it in the battle replay.
+// A reattached client still loading the battle gets it later, after the commands it missed.
+function relayFromClient(client, room, commandName, data) {
+  if (room.playback) return; // the viewer of a replay only watches
+  if (room.replay) recordReplayFrame(room.replay, client.playerSlotIndex, commandName, data);
+  if (room.heldSlots.size > 0) bufferFrameForHeldSlots(room, commandName, data);
+  incrementCounter(metrics, 'dc_frames_relayed_total', { command: commandName });
+  for (const clientId of [...room.clients, ...room.spectators]) {
+    const target = clients.get(clientId);
+    if (!target || !target.socket || target.socket.destroyed) continue;
+    if (target.pendingReattach) {
+      bufferFrame(target.pendingReattach, commandName, data);
+    } else {
+      sendCommandPacket(target.socket, ROOM_COMMANDS[commandName], data);
+    }
+  }
+}
+
 // NEW: helper to echo back player name changes
-// Format: 0x67 [player_ordinal] [0x00] [name_string] [0x00]
 function sendPlayerName(socket, playerOrdinal, name) {
   if (!name) name = '';
   // sanitize to ascii and limit length
-  const clean = Buffer.from(name.replace(/[^\x20-\x7e]/g,'').slice(0,32),'ascii');
-  const data = Buffer.concat([Buffer.from([playerOrdinal, 0x00]), clean, Buffer.from([0x00])]);
-  sendCommandPacket(socket, ROOM_COMMANDS.player_name, data);
-  log(`Echoed player_name: ordinal=${playerOrdinal} name="${name}"`);
+  sendCommand(socket, 'player_name', { slot: playerOrdinal, name: name.replace(/[^\x20-\x7e]/g,'').slice(0,32) });
+  vlog(`Echoed player_name: ordinal=${playerOrdinal} name="${name}"`);
 }
 
-// NEW: helper to echo chat message (format 0x65 <msg bytes> 0x00)
+// NEW: helper to echo chat message
 function sendPlayerChat(socket, msg) {
   if (!msg) msg = '';
-  const clean = Buffer.from(msg.replace(/\r|\n/g,'').slice(0,120),'ascii');
-  const data = Buffer.concat([clean, Buffer.from([0x00])]);
-  sendCommandPacket(socket, ROOM_COMMANDS.player_chat, data);
-  log('Echoed player_chat: ' + msg);
+  sendCommand(socket, 'player_chat', { message: msg.replace(/\r|\n/g,'').slice(0,rateLimitConfig.chat.maxLength) });
+  vlog('Echoed player_chat: ' + msg);
 }
 
-// Send next battle ping and set up timeout
-function sendNextBattlePing(client) {
-  if (!client || !client.battlePingState || client.battlePingState.waitingForEcho) {
-    return;
+// Send a list as few chat lines as possible without any line exceeding the chat limit
+function sendPlayerChatList(socket, title, items) {
+  let line = title;
+  for (const item of items) {
+    const candidate = line ? `${line}  ${item}` : item;
+    if (candidate.length > rateLimitConfig.chat.maxLength && line) {
+      sendPlayerChat(socket, line);
+      line = item;
+    } else {
+      line = candidate;
+    }
   }
+  if (line) sendPlayerChat(socket, line);
+}
 
-  const buf1 = Buffer.alloc(8);
-  // First 32-bit counter (little-endian) - counts from 0
-  buf1.writeUInt32LE(client.battlePingState.counter, 0);
-  // Second 32-bit counter (little-endian) - starts from initial packet counter
-  buf1.writeUInt32LE(client.battlePingState.initialPacketCounter + client.battlePingState.counter, 4);
+// Lobby chat commands. A chat line containing a word that starts with '/' is handled by the
+// server and answered privately to the sender instead of being broadcast to the room.
+// The slash may follow other text because the client can prefix lines with the sender name.
+function parseChatCommand(message) {
+  const match = /(?:^|\s)\/([a-z]+)\b(.*)$/i.exec(message);
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), args: match[2].trim().split(/\s+/).filter(Boolean) };
+}
 
-  // Send battle_ping1 (original behaviour)
-  log(`Client ${client.id}: sending battle_pings 1 and 2, counter=${client.battlePingState.counter}`);
-  sendCommandPacket(client.socket, ROOM_COMMANDS.battle_ping1, buf1);
+// Chat frames with a password or secret (/login, /join, ...) are captured without their text
+function isSensitiveChatFrame(body) {
+  const decoded = decodeCommand(body);
+  if (!decoded || decoded.name !== 'player_chat' || !decoded.fields) return false;
+  const command = parseChatCommand(decoded.fields.message);
+  return !!command && !!LOBBY_CHAT_COMMANDS[command.name]?.sensitive;
+}
+
+function describeRoom(room) {
+  const players = room.playerSlots.filter(slot => slot.clientId !== null).length;
+  const free = room.playerSlots.filter(slot => slot.clientId === null && slot.type === 'none').length;
+  const mapName = shortMapName(room.map);
+  const state = room.inBattle ? 'battle' : 'lobby';
+  const access = (room.password ? ', password' : (room.isPrivate ? ', private' : '')) + (room.locked ? ', locked' : '');
+  const watching = room.spectators.size > 0 ? `, ${room.spectators.size} watching` : '';
+  return `Room ${room.id}: ${players} player(s), ${free} free${watching}, ${mapName} [${state}${access}]`;
+}
+
+function isValidAdminSecret(candidate) {
+  if (!ADMIN_SECRET || !candidate) return false;
+  // Compare digests so the check takes the same time whatever the input length
+  const expected = crypto.createHash('sha256').update(ADMIN_SECRET).digest();
+  const actual = crypto.createHash('sha256').update(candidate).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Resolve an operator command target given as a client id ("5" or "#5").
+function findTargetClient(issuer, arg) {
+  const target = clients.get(parseInt(String(arg || '').replace(/^#/, ''), 10));
+  if (!target) {
+    sendPlayerChat(issuer.socket, `No client ${arg || '?'}. Type /who for the list.`);
+    return null;
+  }
+  return target;
+}
+
+function findTargetRoom(issuer, arg) {
+  const room = rooms.get(parseInt(arg, 10));
+  if (!room) {
+    sendPlayerChat(issuer.socket, `Room ${arg || '?'} does not exist. Type /rooms for the list.`);
+    return null;
+  }
+  return room;
+}
+
+// Send a chat line to every connected client on the server
+function broadcastServerMessage(message) {
+  for (const client of clients.values()) {
+    if (client.socket && !client.socket.destroyed) sendPlayerChat(client.socket, message);
+  }
+}
+
+// Send a chat line to every client in one room
+function broadcastRoomChat(room, message) {
+  for (const clientId of room.clients) {
+    const client = clients.get(clientId);
+    if (client && client.socket && !client.socket.destroyed) sendPlayerChat(client.socket, message);
+  }
+}
+
+// Switch the room map and push the new room_map packet to everybody in the room. If the
+// room now holds more players than the map allows, ready flags are withdrawn so the battle
+// cannot start until the room fits again.
+function setRoomMap(room, map) {
+  room.map = buildRoomMap(map);
+  for (const clientId of room.clients) {
+    const client = clients.get(clientId);
+    if (client && client.socket && !client.socket.destroyed) sendMapPacket(client.socket, room);
+  }
+  log(`Room ${room.id} map changed to ${map.filename} (${shortMapName(map)}, ${map.maxPlayers} players)`, { roomId: room.id });
+  broadcastRoomChat(room, `[server] Map changed to ${shortMapName(map)} (${map.maxPlayers} players)`);
+
+  const capacityError = getRoomCapacityError(room);
+  if (capacityError) {
+    for (const slot of room.playerSlots) {
+      if (slot.clientId === null || !slot.ready) continue;
+      slot.ready = false;
+      broadcastCommand(room, 'player_ready', { state: PLAYER_READY.not_ready[0], slot: slot.index });
+    }
+    broadcastRoomChat(room, `[server] ${capacityError}`);
+  }
+}
+
+// Change one room_param value and push it to everybody in the room
+function setRoomOption(room, id, value) {
+  room.params[id] = value;
+  broadcastCommand(room, 'room_param', { id, value });
+  log(`Room ${room.id}: ${roomOptionName(id)} set to ${value} by chat command`, { roomId: room.id });
+  broadcastRoomChat(room, `[server] ${roomOptionName(id)} set to ${value}`);
+}
+
+// Room host command target: the issuer's lobby room if they are its host (or an operator)
+function requireRoomHost(client) {
+  const room = rooms.get(client.roomId);
+  if (!room || client.isSpectator || room.playback) return null;
+  if (!isRoomHost(room, client) && !client.isOperator) {
+    sendPlayerChat(client.socket, 'Only the room host can do that.');
+    return null;
+  }
+  return room;
+}
+
+// Move a seated player to a free slot of the same room. The player keeps name, race and
+// team; every screen is rebuilt because the player's own slot index changes.
+function moveClientToSlot(room, fromIndex, toIndex) {
+  const from = room.playerSlots[fromIndex];
+  const to = room.playerSlots[toIndex];
+  const client = from && from.clientId !== null ? clients.get(from.clientId) : null;
+  if (!client || !to || to.index === 0 || to.clientId !== null || to.type !== 'none') return false;
+
+  Object.assign(to, { clientId: client.id, name: from.name, race: from.race, team: from.team, type: 'gamer', ready: false, color: to.index });
+  freeSlot(room, fromIndex);
+  from.name = `Player${fromIndex}`;
+  client.playerSlotIndex = toIndex;
+  for (const spectatorId of room.spectators) {
+    const spectator = clients.get(spectatorId);
+    if (spectator && spectator.spectatorViewSlot === fromIndex) spectator.spectatorViewSlot = toIndex;
+  }
+  log(`Room ${room.id}: Client ${client.id} moved from slot ${fromIndex} to slot ${toIndex}`, clientFields(client, { fromSlot: fromIndex }));
+  rebuildLobbyScreens(room);
+  return true;
+}
+
+// Start the battle for players who are all ready but whose clients have not all sent
+// begin_battle yet: AI players are readied and every client that has not started is sent
+// the same begin_battle its own start button would send.
+function forceStartBattle(room) {
+  readyAiSlotsIfClientsReady(room);
+  for (const clientId of room.clients) {
+    const c = clients.get(clientId);
+    if (c && !c.battleInitiated && c.socket && !c.socket.destroyed) {
+      sendCommand(c.socket, 'begin_battle', { data: [0x06, 0x00, 0x02] });
+    }
+  }
+  broadcastRoomChat(room, '[server] The host started the battle.');
+}
+
+// Push changed slots (AI players, teams) to the room: new snapshot now, colors once it settled
+function refreshRoomSlots(room) {
+  broadcastRoomUpdate(room);
+  setTimeout(() => {
+    const r = rooms.get(room.id);
+    if (r) syncColorsAll(r);
+  }, COLOR_SYNC_DELAY_MS);
+}
+
+// Names of the human players seated in a room
+function getRoomPlayerNames(room) {
+  return room.playerSlots.filter(slot => slot.clientId !== null).map(slot => slot.name);
+}
+
+// Set a room up for campaign mission `index`: map, room options, the mission's AI opponents
+// in free slots and every human on the player team. AI left from an earlier mission is
+// removed first. Returns an error message if the room cannot take the mission.
+function startMission(room, index) {
+  const mission = missions[index];
+  const freeSlots = room.playerSlots.filter(slot => slot.index !== 0 && slot.clientId === null && (slot.type === 'none' || isAiSlot(slot)));
+  if (freeSlots.length < mission.ai.length) {
+    return `${mission.title} needs ${mission.ai.length} free slots for its AI players.`;
+  }
+  if (room.clients.size + mission.ai.length + 1 > mission.map.maxPlayers) {
+    return `${mission.title} supports ${mission.map.maxPlayers - mission.ai.length - 1} player(s) in this room.`;
+  }
+
+  for (const slot of room.playerSlots) clearSlotAi(room, slot.index);
+  setRoomMap(room, mission.map);
+  for (const [id, value] of Object.entries(mission.options)) setRoomOption(room, Number(id), value);
+  mission.ai.forEach((opponent, i) => setSlotAi(room, freeSlots[i].index, opponent.difficulty, opponent.race, opponent.team));
+  for (const slot of room.playerSlots) {
+    if (slot.clientId === null) continue;
+    slot.team = mission.playerTeam;
+    slot.ready = false;
+  }
+  room.mission = { index, id: mission.id };
+  log(`Room ${room.id}: campaign mission ${index + 1} "${mission.title}" set up`, { roomId: room.id });
+
+  refreshRoomSlots(room);
+  broadcastRoomChat(room, `[mission ${index + 1}] ${mission.title}`);
+  if (mission.briefing) broadcastRoomChat(room, mission.briefing);
+  return null;
+}
+
+// The server cannot see the AI players fall, so the host or an operator confirms that the
+// mission's opponents are beaten: they concede and the battle is decided
+function confirmMissionVictory(room) {
+  broadcastCommand(room, 'battle_chat', { header: [0x06, 0xff], message: '[server] Mission victory confirmed' });
+  noteAiDefeated(room.battle, missions[room.mission.index].playerTeam);
+  checkBattleOutcome(room);
+}
+
+function stopMission(room) {
+  for (const slot of room.playerSlots) clearSlotAi(room, slot.index);
+  room.mission = null;
+  log(`Room ${room.id}: campaign mission cleared`, { roomId: room.id });
+  refreshRoomSlots(room);
+  broadcastRoomChat(room, '[mission] Campaign mission cleared.');
+}
+
+// Default "PlayerN" names are shared by unrelated players and cannot identify anyone
+function isDefaultPlayerName(name) {
+  return /^Player\d$/.test(name);
+}
+
+// Name of the slot a seated client plays as; null for spectators and unseated clients
+function getClientName(client) {
+  const room = rooms.get(client.roomId);
+  const slot = room && !client.isSpectator ? room.playerSlots[client.playerSlotIndex] : null;
+  return slot ? slot.name : null;
+}
+
+// Connected lobby or battle client playing under the given name (playback seats excluded)
+function findClientByName(name) {
+  for (const client of clients.values()) {
+    const room = rooms.get(client.roomId);
+    const clientName = getClientName(client);
+    if (room && !room.playback && clientName && clientName.toLowerCase() === name.toLowerCase()) return client;
+  }
+  return null;
+}
+
+function persistTournament() {
+  try {
+    saveTournament(TOURNAMENT_FILE, tournament);
+  } catch (err) {
+    logError(`Could not save tournament: ${err.message}`);
+  }
+}
+
+function describeTournamentMatch(match) {
+  const stage = match.bracket === 'GF' ? 'final' : `${match.bracket}${match.round}`;
+  if (match.winner !== undefined) {
+    return match.loser === null ? `${match.id} ${stage}: ${match.winner} (bye)` : `${match.id} ${stage}: ${match.winner} beat ${match.loser}`;
+  }
+  const [a, b] = matchPlayers(tournament, match);
+  const where = match.roomId ? ` in Room ${match.roomId}` : '';
+  return `${match.id} ${stage}: ${a ?? '?'} vs ${b ?? '?'}${where}`;
+}
+
+// Open a private room for every bracket match whose two players are connected and not in a
+// battle, and move both players in. Matches with a player away wait for the next call, which
+// happens whenever a result comes in, a battle ends or a player sets their name.
+function scheduleTournamentMatches() {
+  if (!tournament) return;
+  for (const match of readyMatches(tournament)) {
+    const linked = rooms.get(match.roomId);
+    if (linked && linked.tournamentMatchId === match.id) continue;
+    match.roomId = null;
+
+    const names = matchPlayers(tournament, match);
+    const players = names.map(findClientByName);
+    if (players.some(player => !player || rooms.get(player.roomId).inBattle)) continue;
+
+    const room = createRoom();
+    room.isPrivate = true;
+    room.password = crypto.randomBytes(3).toString('hex');
+    room.tournamentMatchId = match.id;
+    match.roomId = room.id;
+    // Seats in the new room start with default names; the bracket needs the players' own
+    players.forEach((player, i) => {
+      const seat = moveClientToRoom(player, room);
+      if (!seat) return;
+      room.playerSlots[seat.slotIndex].name = names[i];
+      broadcastCommand(room, 'player_name', { slot: seat.slotIndex, name: names[i] });
+    });
+    log(`Tournament match ${match.id} (${names.join(' vs ')}) opened in Room ${room.id}`, { roomId: room.id });
+    broadcastRoomChat(room, `[tourney] Match ${match.id}: ${names.join(' vs ')}. Ready up to start; the winner advances.`);
+  }
+}
+
+// Enter a bracket result, tell everybody and set up whatever matches it unlocked
+function recordTournamentResult(match, winnerName) {
+  const room = rooms.get(match.roomId);
+  if (!reportResult(tournament, match.id, winnerName)) return false;
+  if (room && room.tournamentMatchId === match.id) room.tournamentMatchId = null;
+  persistTournament();
+  log(`Tournament match ${match.id}: ${match.winner} beat ${match.loser}`);
+  broadcastServerMessage(`[tourney] ${match.winner} beat ${match.loser} (${match.id})`);
+  if (tournament.status === 'finished') {
+    log(`Tournament finished, champion ${tournament.champion}`);
+    broadcastServerMessage(`[tourney] ${tournament.champion} wins the tournament!`);
+  }
+  scheduleTournamentMatches();
+  return true;
+}
+
+function sendTournamentStatus(client) {
+  if (!tournament) {
+    sendPlayerChat(client.socket, 'No tournament is open.');
+    return;
+  }
+  const format = `${tournament.format} elimination`;
+  if (tournament.status === 'signup') {
+    sendPlayerChatList(client.socket, `Tournament (${format}) sign-ups, ${tournament.players.length} player(s):`, tournament.players);
+    sendPlayerChat(client.socket, 'Type /tourney join to sign up under your player name.');
+  } else if (tournament.status === 'running') {
+    const ready = readyMatches(tournament);
+    sendPlayerChat(client.socket, `Tournament (${format}) running with ${tournament.players.length} players, ${ready.length} match(es) to play:`);
+    for (const match of ready) sendPlayerChat(client.socket, describeTournamentMatch(match));
+  } else {
+    sendPlayerChat(client.socket, `Tournament (${format}) finished. Champion: ${tournament.champion}`);
+  }
+}
+
+// /tourney sub-commands; operator ones manage the tournament, the rest are for players
+const TOURNAMENT_ACTIONS = {
+  status: {
+    handler(client) {
+      sendTournamentStatus(client);
+    }
+  },
+  matches: {
+    handler(client) {
+      if (!tournament || tournament.status === 'signup') {
+        sendPlayerChat(client.socket, 'The bracket has not been drawn yet.');
+        return;
+      }
+      for (const match of tournament.matches) {
+        if (match.winner !== null) sendPlayerChat(client.socket, describeTournamentMatch(match));
+      }
+    }
+  },
+  join: {
+    handler(client) {
+      const name = getClientName(client);
+      if (!tournament || tournament.status !== 'signup') {
+        sendPlayerChat(client.socket, 'No tournament is open for sign-ups.');
+        return;
+      }
+      if (!name || isDefaultPlayerName(name)) {
+        sendPlayerChat(client.socket, 'Set a player name before signing up.');
+        return;
+      }
+      if (!addPlayer(tournament, name)) {
+        sendPlayerChat(client.socket, `${name} is already signed up.`);
+        return;
+      }
+      persistTournament();
+      log(`Client ${client.id} signed up for the tournament as "${name}"`, clientFields(client));
+      broadcastServerMessage(`[tourney] ${name} signed up (${tournament.players.length} player(s))`);
+    }
+  },
+  leave: {
+    handler(client) {
+      const name = getClientName(client);
+      if (!tournament || !name || !removePlayer(tournament, name)) {
+        sendPlayerChat(client.socket, 'You are not signed up for a tournament that is still open.');
+        return;
+      }
+      persistTournament();
+      log(`Client ${client.id} withdrew "${name}" from the tournament`, clientFields(client));
+      sendPlayerChat(client.socket, `${name} withdrawn from the tournament.`);
+    }
+  },
+  create: {
+    operator: true,
+    handler(client, args) {
+      const format = (args[0] || '').toLowerCase();
+      if (!TOURNAMENT_FORMATS.includes(format)) {
+        sendPlayerChat(client.socket, `Usage: /tourney create <${TOURNAMENT_FORMATS.join('|')}>`);
+        return;
+      }
+      if (tournament && tournament.status !== 'finished') {
+        sendPlayerChat(client.socket, 'A tournament is already open. Use /tourney cancel first.');
+        return;
+      }
+      tournament = createTournament(format);
+      persistTournament();
+      log(`Operator Client ${client.id} opened a ${format} elimination tournament`, clientFields(client));
+      broadcastServerMessage(`[tourney] ${format} elimination tournament open for sign-ups: /tourney join`);
+      applyPollToTournament();
+    }
+  },
+  start: {
+    operator: true,
+    handler(client) {
+      if (!tournament || tournament.status !== 'signup') {
+        sendPlayerChat(client.socket, 'No tournament is open for sign-ups.');
+        return;
+      }
+      applyPollToTournament();
+      try {
+        startTournament(tournament);
+      } catch (err) {
+        sendPlayerChat(client.socket, `Cannot start: ${err.message}.`);
+        return;
+      }
+      persistTournament();
+      log(`Operator Client ${client.id} started the tournament with ${tournament.players.length} players, ${tournament.matches.length} matches`, clientFields(client));
+      broadcastServerMessage(`[tourney] Bracket drawn for ${tournament.players.length} players. Type /tourney to see your match.`);
+      scheduleTournamentMatches();
+    }
+  },
+  report: {
+    operator: true,
+    handler(client, args) {
+      const match = tournament && tournament.status === 'running' ? findMatch(tournament, (args[0] || '').toUpperCase()) : null;
+      if (!match || args.length < 2) {
+        sendPlayerChat(client.socket, 'Usage: /tourney report <match> <winner>');
+        return;
+      }
+      if (!recordTournamentResult(match, args.slice(1).join(' '))) {
+        sendPlayerChat(client.socket, `${args.slice(1).join(' ')} cannot win ${match.id} now.`);
+        return;
+      }
+      log(`Operator Client ${client.id} reported the result of tournament match ${match.id}`, clientFields(client));
+    }
+  },
+  cancel: {
+    operator: true,
+    handler(client) {
+      if (!tournament) {
+        sendPlayerChat(client.socket, 'No tournament is open.');
+        return;
+      }
+      for (const room of rooms.values()) room.tournamentMatchId = null;
+      tournament = null;
+      deleteTournament(TOURNAMENT_FILE);
+      log(`Operator Client ${client.id} cancelled the tournament`, clientFields(client));
+      broadcastServerMessage('[tourney] The tournament was cancelled.');
+    }
+  }
+};
+
+function persistPolls() {
+  try {
+    savePolls(POLLS_FILE, polls);
+  } catch (err) {
+    logError(`Could not save polls: ${err.message}`);
+  }
+}
+
+// Who a vote is counted for: the remote address, or the single connection with VOTE_LIMIT=connection
+function getVoterKey(client) {
+  const { remoteAddress, remotePort } = client.socket;
+  return VOTE_LIMIT === 'connection' ? `${remoteAddress}:${remotePort}` : remoteAddress;
+}
+
+function armPollTimer(poll) {
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(() => finishPoll(poll), Math.max(0, Date.parse(poll.closesAt) - Date.now()));
+}
+
+function finishPoll(poll) {
+  clearTimeout(pollTimer);
+  pollTimer = null;
+  closePoll(polls, poll);
+  persistPolls();
+  const tally = tallyPoll(poll);
+  log(`Poll #${poll.id} closed: ${tally.map(entry => `${entry.name} ${entry.votes}`).join(', ') || 'no nominees'}`, { pollId: poll.id });
+  broadcastServerMessage(`[poll] Voting closed. ${tally.length > 0 ? `Result: ${tally.map(entry => `${entry.name} ${entry.votes}`).join(', ')}` : 'Nobody was nominated.'}`);
+  applyPollToTournament();
+}
+
+// The last closed poll seeds the tournament that is open for sign-ups, best voted first, and
+// signs up voted players who did not join themselves. Each poll result is used once.
+function applyPollToTournament() {
+  const poll = getLastClosedPoll(polls);
+  if (!poll || poll.applied || !tournament || tournament.status !== 'signup') return;
+  const winners = pollWinners(poll);
+  if (winners.length === 0) return;
+  seedPlayers(tournament, winners);
+  poll.applied = true;
+  persistTournament();
+  persistPolls();
+  log(`Poll #${poll.id} seeded the tournament: ${winners.join(', ')}`);
+  broadcastServerMessage(`[poll] Fan vote seeds the tournament: ${winners.join(', ')}`);
+}
+
+function sendPollStatus(client) {
+  const poll = getOpenPoll(polls);
+  if (!poll) {
+    const last = getLastClosedPoll(polls);
+    if (!last) {
+      sendPlayerChat(client.socket, 'No poll is open.');
+      return;
+    }
+    sendPlayerChatList(client.socket, `No poll is open. Last result (poll #${last.id}):`, tallyPoll(last).map(entry => `${entry.name} ${entry.votes}`));
+    return;
+  }
+  const minutesLeft = Math.max(1, Math.ceil((Date.parse(poll.closesAt) - Date.now()) / 60_000));
+  const tally = tallyPoll(poll).map(entry => `${entry.name} ${entry.votes}`);
+  sendPlayerChatList(client.socket, `Poll #${poll.id}, ${minutesLeft} min left:`, tally.length > 0 ? tally : ['no nominees yet']);
+  sendPlayerChat(client.socket, 'Type /nominate <name> or /vote <name>.');
+}
+
+// /poll sub-commands; opening and closing polls is for operators
+const POLL_ACTIONS = {
+  status: {
+    handler(client) {
+      sendPollStatus(client);
+    }
+  },
+  open: {
+    operator: true,
+    handler(client, args) {
+      const minutes = args[0] === undefined ? POLL_DEFAULT_MINUTES : Math.min(Number(args[0]), POLL_MAX_MINUTES);
+      const seats = args[1] === undefined ? 0 : parseInt(args[1], 10);
+      if (!(minutes > 0) || !(seats >= 0)) {
+        sendPlayerChat(client.socket, 'Usage: /poll open [minutes] [seats]');
+        return;
+      }
+      let poll;
+      try {
+        poll = openPoll(polls, minutes * 60_000, seats);
+      } catch (err) {
+        sendPlayerChat(client.socket, `Cannot open a poll: ${err.message}.`);
+        return;
+      }
+      persistPolls();
+      armPollTimer(poll);
+      log(`Operator Client ${client.id} opened poll #${poll.id} for ${minutes} min${seats ? `, ${seats} seat(s)` : ''}`, clientFields(client, { pollId: poll.id }));
+      broadcastServerMessage(`[poll] Vote for tournament players for ${minutes} min: /nominate <name>, /vote <name>`);
+    }
+  },
+  close: {
+    operator: true,
+    handler(client) {
+      const poll = getOpenPoll(polls);
+      if (!poll) {
+        sendPlayerChat(client.socket, 'No poll is open.');
+        return;
+      }
+      log(`Operator Client ${client.id} closed poll #${poll.id}`, clientFields(client));
+      finishPoll(poll);
+    }
+  }
+};
+
+const LOBBY_CHAT_COMMANDS = {
+  help: {
+    usage: '/help',
+    handler(client) {
+      const usages = Object.values(LOBBY_CHAT_COMMANDS)
+        .filter(command => !command.operator || client.isOperator)
+        .map(command => command.usage);
+      sendPlayerChatList(client.socket, 'Commands:', usages);
+    }
+  },
+  rooms: {
+    usage: '/rooms',
+    handler(client) {
+      const sorted = [...rooms.values()].sort((a, b) => a.id - b.id);
+      for (const room of sorted) {
+        sendPlayerChat(client.socket, describeRoom(room) + (room.id === client.roomId ? ' <- you' : ''));
+      }
+    }
+  },
+  join: {
+    usage: '/join <room> [password]',
+    sensitive: true,
+    handler(client, args) {
+      const roomId = parseInt(args[0], 10);
+      const room = rooms.get(roomId);
+      if (!room) {
+        sendPlayerChat(client.socket, `Room ${args[0] || '?'} does not exist. Type /rooms for the list.`);
+        return;
+      }
+      if (room.id === client.roomId) {
+        sendPlayerChat(client.socket, `You are already in Room ${room.id}.`);
+        return;
+      }
+      if (room.inBattle) {
+        sendPlayerChat(client.socket, `Room ${room.id} is in battle.`);
+        return;
+      }
+      if (room.playback) {
+        sendPlayerChat(client.socket, `Room ${room.id} is a replay playback room.`);
+        return;
+      }
+      if ((room.locked || isBootedAddress(room, client.socket.remoteAddress)) && !client.isOperator) {
+        sendPlayerChat(client.socket, `Room ${room.id} is locked.`);
+        return;
+      }
+      if (room.password && args[1] !== room.password) {
+        log(`Client ${client.id} denied entry to Room ${room.id}: ${args[1] ? 'wrong' : 'missing'} password`, clientFields(client, { roomId: room.id }));
+        sendPlayerChat(client.socket, `Room ${room.id} requires a password: /join ${room.id} <password>`);
+        return;
+      }
+      if (!moveClientToRoom(client, room)) {
+        sendPlayerChat(client.socket, `Room ${room.id} is full.`);
+      }
+    }
+  },
+  create: {
+    usage: '/create [password]',
+    sensitive: true,
+    handler(client, args) {
+      const room = createRoom();
+      room.isPrivate = true;
+      room.password = args[0] || null;
+      if (!moveClientToRoom(client, room)) {
+        rooms.delete(room.id);
+        roomPingCounters.delete(room.id);
+        sendPlayerChat(client.socket, 'Could not create a room.');
+        return;
+      }
+      const joinHint = room.password ? `/join ${room.id} <password>` : `/join ${room.id}`;
+      sendPlayerChat(client.socket, `Created private Room ${room.id}. Friends can enter with ${joinHint}`);
+    }
+  },
+  maps: {
+    usage: '/maps',
+    handler(client) {
+      const entries = mapCatalogue.map((map, i) => `${i + 1}) ${shortMapName(map)} ${map.type}/${map.maxPlayers}`);
+      sendPlayerChatList(client.socket, 'Maps:', entries);
+    }
+  },
+  map: {
+    usage: '/map <number|filename>',
+    handler(client, args) {
+      const room = rooms.get(client.roomId);
+      if (!room) return;
+      if (!isRoomHost(room, client) && !client.isOperator) {
+        sendPlayerChat(client.socket, 'Only the room host can change the map.');
+        return;
+      }
+      const map = findMap(mapCatalogue, args[0]);
+      if (!map) {
+        sendPlayerChat(client.socket, `Unknown map ${args[0] || '?'}. Type /maps for the list.`);
+        return;
+      }
+      setRoomMap(room, map);
+    }
+  },
+  options: {
+    usage: '/options',
+    handler(client) {
+      const room = rooms.get(client.roomId);
+      if (!room) return;
+      const entries = room.params.map((value, id) => `${roomOptionName(id)}=${value}`);
+      sendPlayerChatList(client.socket, `Room ${room.id} options:`, entries);
+    }
+  },
+  option: {
+    usage: '/option <name> <on|off|value>',
+    handler(client, args) {
+      const room = rooms.get(client.roomId);
+      if (!room) return;
+      if (!isRoomHost(room, client) && !client.isOperator) {
+        sendPlayerChat(client.socket, 'Only the room host can change room options.');
+        return;
+      }
+      const id = resolveRoomOptionId(args[0]);
+      const value = args[1] === 'on' ? 1 : args[1] === 'off' ? 0 : parseInt(args[1], 10);
+      if (id === null || !Number.isInteger(value) || value < 0 || value > 0xffff) {
+        sendPlayerChat(client.socket, `Usage: /option <${Object.keys(ROOM_OPTION_IDS).join('|')}|0-${ROOM_PARAM_COUNT - 1}> <on|off|value>`);
+        return;
+      }
+      setRoomOption(room, id, value);
+    }
+  },
+  replays: {
+    usage: '/replays',
+    handler(client) {
+      const names = REPLAY_DIR ? listReplays(REPLAY_DIR).slice(0, REPLAY_LIST_LENGTH) : [];
+      if (names.length === 0) {
+        sendPlayerChat(client.socket, 'No replays recorded.');
+        return;
+      }
+      names.forEach((name, i) => sendPlayerChat(client.socket, `${i + 1}) ${name}`));
+    }
+  },
+  replay: {
+    usage: '/replay <number> [speed] [slot]',
+    handler(client, args) {
+      // Only names from the listing are accepted, so no path ever comes from chat
+      const names = REPLAY_DIR ? listReplays(REPLAY_DIR) : [];
+      const fileName = /^\d+$/.test(args[0] || '') ? names[parseInt(args[0], 10) - 1] : names.find(name => name === args[0]);
+      if (!fileName) {
+        sendPlayerChat(client.socket, `Unknown replay ${args[0] || '?'}. Type /replays for the list.`);
+        return;
+      }
+      const speed = args[1] === undefined ? 1 : parseFloat(args[1]);
+      if (!(speed >= PLAYBACK_SPEED_MIN && speed <= PLAYBACK_SPEED_MAX)) {
+        sendPlayerChat(client.socket, `Speed must be between ${PLAYBACK_SPEED_MIN} and ${PLAYBACK_SPEED_MAX}.`);
+        return;
+      }
+
+      // The file is read in the background; playback starts once it is loaded
+      readReplay(path.join(REPLAY_DIR, fileName))
+        .then((replay) => startReplayPlayback(client, replay, fileName, speed, args[2]), (err) => {
+          logWarning(`Client ${client.id}: cannot load replay ${fileName}: ${err.message}`, clientFields(client));
+          if (clients.get(client.id) === client) sendPlayerChat(client.socket, `Cannot load replay ${fileName}.`);
+        })
+        .catch((err) => logError(`Replay ${fileName}: playback failed`, clientFields(client, { error: err })));
+    }
+  },
+  spectate: {
+    usage: '/spectate <room> [slot] [password]',
+    sensitive: true,
+    handler(client, args) {
+      const room = rooms.get(parseInt(args[0], 10));
+      if (!room || room.playback) {
+        sendPlayerChat(client.socket, `Room ${args[0] || '?'} cannot be watched. Type /rooms for the list.`);
+        return;
+      }
+      if (client.isSpectator && room.id === client.roomId) {
+        sendPlayerChat(client.socket, `You are already spectating Room ${room.id}.`);
+        return;
+      }
+      if (room.password && room.id !== client.roomId && args[2] !== room.password && args[1] !== room.password) {
+        sendPlayerChat(client.socket, `Room ${room.id} requires a password: /spectate ${room.id} [slot] <password>`);
+        return;
+      }
+      if (room.spectators.size >= MAX_SPECTATORS_PER_ROOM) {
+        sendPlayerChat(client.socket, `Room ${room.id} has no spectator places left.`);
+        return;
+      }
+      // Watch from another player's seat (a player giving up their own seat cannot watch from it)
+      const playerSlots = room.playerSlots.filter(slot => slot.clientId !== null && slot.clientId !== client.id).map(slot => slot.index);
+      const viewSlot = /^\d$/.test(args[1] || '') ? parseInt(args[1], 10) : playerSlots[0];
+      if (!playerSlots.includes(viewSlot)) {
+        sendPlayerChat(client.socket, `Pick a player slot to watch from: ${playerSlots.join(', ') || 'none'}.`);
+        return;
+      }
+      removeClientFromRoom(client.id);
+      stopBattlePings(client);
+      addSpectator(client, room, viewSlot);
+      sendPlayerChat(client.socket, `Spectating Room ${room.id} from slot ${viewSlot}. Type /leave to stop.`);
+    }
+  },
+  leave: {
+    usage: '/leave',
+    handler(client) {
+      if (!client.isSpectator) {
+        sendPlayerChat(client.socket, 'You are not spectating.');
+        return;
+      }
+      removeSpectator(client);
+      enterRoom(client, getAvailableRoom(client.socket.remoteAddress));
+    }
+  },
+  top: {
+    usage: '/top',
+    handler(client) {
+      const top = getTopPlayers(leaderboard, LEADERBOARD_TOP_COUNT);
+      if (top.length === 0) {
+        sendPlayerChat(client.socket, 'No ranked battles yet.');
+        return;
+      }
+      top.forEach((entry, i) => sendPlayerChat(client.socket, `${i + 1}. ${entry.name} ${entry.rating} (${entry.wins}W/${entry.losses}L)`));
+    }
+  },
+  rank: {
+    usage: '/rank [name]',
+    handler(client, args) {
+      const room = rooms.get(client.roomId);
+      const slot = room ? room.playerSlots[client.playerSlotIndex] : null;
+      const name = args.length > 0 ? args.join(' ') : (slot ? slot.name : '');
+      const ranking = getPlayerRank(leaderboard, name);
+      if (!ranking) {
+        sendPlayerChat(client.socket, `${name || 'You'} has no ranked battles yet.`);
+        return;
+      }
+      const { rank, total, entry } = ranking;
+      sendPlayerChat(client.socket, `${entry.name}: rank ${rank}/${total}, rating ${entry.rating}, ${entry.played} played, ${entry.wins}W/${entry.losses}L`);
+    }
+  },
+  tourney: {
+    usage: '/tourney [join|leave|matches]',
+    handler(client, args) {
+      const action = TOURNAMENT_ACTIONS[(args[0] || 'status').toLowerCase()];
+      if (!action || (action.operator && !client.isOperator)) {
+        sendPlayerChat(client.socket, 'Usage: /tourney [join|leave|matches]');
+        return;
+      }
+      action.handler(client, args.slice(1));
+    }
+  },
+  poll: {
+    usage: '/poll',
+    handler(client, args) {
+      const action = POLL_ACTIONS[(args[0] || 'status').toLowerCase()];
+      if (!action || (action.operator && !client.isOperator)) {
+        sendPlayerChat(client.socket, 'Usage: /poll');
+        return;
+      }
+      action.handler(client, args.slice(1));
+    }
+  },
+  nominate: {
+    usage: '/nominate <name>',
+    handler(client, args) {
+      const poll = getOpenPoll(polls);
+      const name = args.join(' ').replace(/[^\x20-\x7e]/g, '').slice(0, 32);
+      if (!poll) {
+        sendPlayerChat(client.socket, 'No poll is open.');
+        return;
+      }
+      if (!name || isDefaultPlayerName(name)) {
+        sendPlayerChat(client.socket, 'Usage: /nominate <player name>');
+        return;
+      }
+      try {
+        nominate(poll, name);
+      } catch (err) {
+        sendPlayerChat(client.socket, `Cannot nominate: ${err.message}.`);
+        return;
+      }
+      persistPolls();
+      log(`Client ${client.id} nominated "${name}" in poll #${poll.id}`, clientFields(client));
+      broadcastServerMessage(`[poll] ${name} nominated. Vote with /vote ${name}`);
+    }
+  },
+  vote: {
+    usage: '/vote <name>',
+    handler(client, args) {
+      const poll = getOpenPoll(polls);
+      if (!poll) {
+        sendPlayerChat(client.socket, 'No poll is open.');
+        return;
+      }
+      let nominee;
+      try {
+        nominee = castVote(poll, getVoterKey(client), args.join(' '));
+      } catch (err) {
+        sendPlayerChat(client.socket, `Cannot vote: ${err.message}.`);
+        return;
+      }
+      persistPolls();
+      log(`Client ${client.id} voted in poll #${poll.id}`, clientFields(client));
+      sendPlayerChat(client.socket, `Vote for ${nominee} counted.`);
+    }
+  },
+  ai: {
+    usage: '/ai [add <slot> <easy|hard> [humans|aliens] [team] | remove <slot>]',
+    handler(client, args) {
+      const room = rooms.get(client.roomId);
+      if (!room || client.isSpectator) return;
+      const action = (args[0] || '').toLowerCase();
+      if (action !== 'add' && action !== 'remove') {
+        const players = room.playerSlots.filter(isAiSlot).map(slot => `slot ${slot.index} ${slot.type === 'ai_hard' ? 'hard' : 'easy'} ${slot.race} team ${slot.team}`);
+        sendPlayerChatList(client.socket, 'AI players:', players.length > 0 ? players : ['none']);
+        return;
+      }
+      if (!isRoomHost(room, client) && !client.isOperator) {
+        sendPlayerChat(client.socket, 'Only the room host can change AI players.');
+        return;
+      }
+      if (room.playback || room.tournamentMatchId || room.mission) {
+        sendPlayerChat(client.socket, room.mission ? 'The mission sets the AI players. Type /mission off first.' : 'AI players cannot be changed in this room.');
+        return;
+      }
+      const slot = room.playerSlots[parseInt(args[1], 10)];
+      if (action === 'remove') {
+        if (!slot || !clearSlotAi(room, slot.index)) {
+          sendPlayerChat(client.socket, 'Usage: /ai remove <slot with an AI player>');
+          return;
+        }
+        refreshRoomSlots(room);
+        broadcastRoomChat(room, `[server] AI player removed from slot ${slot.index}`);
+        return;
+      }
+
+      const difficulty = (args[2] || '').toLowerCase();
+      const race = (args[3] || (slot ? slot.race : '')).toLowerCase();
+      const team = args[4] === undefined ? (slot ? slot.team : null) : parseInt(args[4], 10);
+      if (!slot || !AI_DIFFICULTIES.includes(difficulty) || !['humans', 'aliens'].includes(race) || !(team >= 0 && team <= 7)) {
+        sendPlayerChat(client.socket, 'Usage: /ai add <slot 1-7> <easy|hard> [humans|aliens] [team 0-7]');
+        return;
+      }
+      if (!isAiSlot(slot) && parseInt(room.map.playerCount, 10) <= room.playerSlots.filter(isOccupiedSlot).length) {
+        sendPlayerChat(client.socket, `${shortMapName(room.map)} has no room for another player.`);
+        return;
+      }
+      if (!setSlotAi(room, slot.index, difficulty, race, team)) {
+        sendPlayerChat(client.socket, `Slot ${slot.index} is not free.`);
+        return;
+      }
+      refreshRoomSlots(room);
+      readyAiSlotsIfClientsReady(room);
+      broadcastRoomChat(room, `[server] ${difficulty} AI (${race}, team ${team}) added in slot ${slot.index}`);
+    }
+  },
+  boot: {
+    usage: '/boot <slot>',
+    handler(client, args) {
+      const room = requireRoomHost(client);
+      if (!room) return;
+      const slot = room.playerSlots[parseInt(args[0], 10)];
+      const target = slot && slot.clientId !== null ? clients.get(slot.clientId) : null;
+      if (!target || target === client) {
+        sendPlayerChat(client.socket, 'Usage: /boot <slot of another player>');
+        sendPlayerChat(client.socket, `Their address stays out of the room for ${BOOT_EXCLUSION_MS / 60_000} minutes, with everyone sharing it (same router or NAT).`);
+        return;
+      }
+      const name = slot.name;
+      room.bootedAddresses.set(target.socket.remoteAddress, Date.now() + BOOT_EXCLUSION_MS);
+      log(`Host Client ${client.id} booted Client ${target.id} ("${name}") from Room ${room.id}`, clientFields(client, { targetClientId: target.id, roomId: room.id }));
+      sendPlayerChat(target.socket, `You were sent out of Room ${room.id} by the host.`);
+      moveClientToRoom(target, getAvailableRoom(target.socket.remoteAddress));
+      broadcastRoomChat(room, `[server] ${name} was sent out of the room by the host.`);
+      sendPlayerChat(client.socket, `Players from ${name}'s address cannot join for ${BOOT_EXCLUSION_MS / 60_000} minutes; /unlock lets them back now.`);
+    }
+  },
+  lock: {
+    usage: '/lock',
+    handler(client) {
+      const room = requireRoomHost(client);
+      if (!room) return;
+      room.locked = true;
+      log(`Room ${room.id} locked by Client ${client.id}`, clientFields(client, { roomId: room.id }));
+      broadcastRoomChat(room, '[server] Room locked: no new players can join.');
+    }
+  },
+  unlock: {
+    usage: '/unlock',
+    handler(client) {
+      const room = requireRoomHost(client);
+      if (!room) return;
+      room.locked = false;
+      room.bootedAddresses.clear();
+      log(`Room ${room.id} unlocked by Client ${client.id}`, clientFields(client, { roomId: room.id }));
+      broadcastRoomChat(room, '[server] Room unlocked.');
+    }
+  },
+  slot: {
+    usage: '/slot <player slot> <free slot>',
+    handler(client, args) {
+      const room = requireRoomHost(client);
+      if (!room) return;
+      const fromIndex = parseInt(args[0], 10);
+      const toIndex = parseInt(args[1], 10);
+      const name = room.playerSlots[fromIndex] ? room.playerSlots[fromIndex].name : null;
+      if (!moveClientToSlot(room, fromIndex, toIndex)) {
+        sendPlayerChat(client.socket, 'Usage: /slot <slot of a player> <free slot 1-7>');
+        return;
+      }
+      broadcastRoomChat(room, `[server] ${name} moved to slot ${toIndex}`);
+    }
+  },
+  start: {
+    usage: '/start',
+    handler(client) {
+      const room = requireRoomHost(client);
+      if (!room) return;
+      const capacityError = getRoomCapacityError(room);
+      if (capacityError) {
+        sendPlayerChat(client.socket, capacityError);
+        return;
+      }
+      const notReady = room.playerSlots.filter(slot => slot.clientId !== null && !slot.ready);
+      if (notReady.length > 0) {
+        sendPlayerChat(client.socket, `Not ready: ${notReady.map(slot => `${slot.name} (slot ${slot.index})`).join(', ')}. Use /boot <slot> to remove a player.`);
+        return;
+      }
+      forceStartBattle(room);
+      log(`Host Client ${client.id} force-started Room ${room.id}`, clientFields(client, { roomId: room.id }));
+    }
+  },
+  missions: {
+    usage: '/missions',
+    handler(client) {
+      if (missions.length === 0) {
+        sendPlayerChat(client.socket, 'No campaign on this server.');
+        return;
+      }
+      const name = getClientName(client);
+      const unlocked = unlockedMissionCount(missions, campaignProgress, name ? [name] : []);
+      missions.forEach((mission, i) => sendPlayerChat(client.socket, `${i + 1}) ${mission.title}${i < unlocked ? '' : ' (locked)'}`));
+      if (!name || isDefaultPlayerName(name)) sendPlayerChat(client.socket, 'Set a player name to keep your campaign progress.');
+    }
+  },
+  mission: {
+    usage: '/mission <number|off>',
+    handler(client, args) {
+      const room = rooms.get(client.roomId);
+      if (!room || client.isSpectator) return;
+      if (!isRoomHost(room, client) && !client.isOperator) {
+        sendPlayerChat(client.socket, 'Only the room host can start a mission.');
+        return;
+      }
+      if (room.playback || room.tournamentMatchId) {
+        sendPlayerChat(client.socket, 'Missions cannot be played in this room.');
+        return;
+      }
+      if (args[0] === 'off') {
+        if (room.mission) stopMission(room);
+        return;
+      }
+      const number = parseInt(args[0], 10);
+      if (!(number >= 1 && number <= missions.length)) {
+        sendPlayerChat(client.socket, missions.length > 0 ? `Usage: /mission <1-${missions.length}|off>` : 'No campaign on this server.');
+        return;
+      }
+      // Anyone in the room who has reached the mission unlocks it for the whole group
+      const unlocked = unlockedMissionCount(missions, campaignProgress, getRoomPlayerNames(room));
+      if (number > unlocked && !client.isOperator) {
+        sendPlayerChat(client.socket, `Mission ${number} is locked. Complete mission ${unlocked} first.`);
+        return;
+      }
+      const error = startMission(room, number - 1);
+      if (error) sendPlayerChat(client.socket, error);
+    }
+  },
+  surrender: {
+    usage: '/surrender',
+    battle: true, // typed in battle chat
+    handler(client) {
+      const room = rooms.get(client.roomId);
+      if (!room || !room.battle || room.battle.result || client.isSpectator || client.playerSlotIndex === null) {
+        sendPlayerChat(client.socket, 'You are not in a battle.');
+        return;
+      }
+      const name = room.playerSlots[client.playerSlotIndex].name;
+      log(`Client ${client.id} conceded in Room ${room.id} (slot ${client.playerSlotIndex})`, clientFields(client, { roomId: room.id }));
+      broadcastCommand(room, 'battle_chat', { header: [0x06, 0xff], message: `[server] ${name} surrendered` });
+      noteConcession(room.battle, client.playerSlotIndex);
+      checkBattleOutcome(room);
+    }
+  },
+  victory: {
+    usage: '/victory [room]',
+    battle: true, // typed in battle chat by the host of the mission room
+    handler(client, args) {
+      const room = args[0] !== undefined && client.isOperator ? findTargetRoom(client, args[0]) : rooms.get(client.roomId);
+      if (!room) return;
+      if (!isRoomHost(room, client) && !client.isOperator) {
+        sendPlayerChat(client.socket, 'Only the room host can confirm a mission victory.');
+        return;
+      }
+      if (!room.mission || !room.battle || room.battle.result) {
+        sendPlayerChat(client.socket, `No mission battle is running in Room ${room.id}.`);
+        return;
+      }
+      log(`Client ${client.id} confirmed the mission victory in Room ${room.id}`, clientFields(client, { roomId: room.id }));
+      confirmMissionVictory(room);
+    }
+  },
+  login: {
+    usage: '/login <secret>',
+    sensitive: true,
+    handler(client, args) {
+      if (client.isOperator) {
+        sendPlayerChat(client.socket, 'You are already logged in as operator.');
+        return;
+      }
+      if (!ADMIN_SECRET) {
+        sendPlayerChat(client.socket, 'Operator login is disabled on this server.');
+        return;
+      }
+      if (client.failedLogins >= MAX_LOGIN_ATTEMPTS) {
+        sendPlayerChat(client.socket, 'Too many failed attempts. Reconnect to try again.');
+        return;
+      }
+      if (!isValidAdminSecret(args[0])) {
+        client.failedLogins++;
+        logWarning(`Client ${client.id}: operator login failed (${client.failedLogins}/${MAX_LOGIN_ATTEMPTS})`, clientFields(client));
+        sendPlayerChat(client.socket, 'Login failed.');
+        return;
+      }
+      client.isOperator = true;
+      log(`Client ${client.id} (${client.socket.remoteAddress}) logged in as operator`, clientFields(client));
+      sendPlayerChat(client.socket, 'Logged in as operator. Type /help for operator commands.');
+    }
+  },
+  logout: {
+    usage: '/logout',
+    operator: true,
+    handler(client) {
+      client.isOperator = false;
+      log(`Client ${client.id} logged out as operator`, clientFields(client));
+      sendPlayerChat(client.socket, 'Logged out.');
+    }
+  },
+  who: {
+    usage: '/who',
+    operator: true,
+    handler(client) {
+      for (const c of clients.values()) {
+        const room = rooms.get(c.roomId);
+        const slot = room ? room.playerSlots[c.playerSlotIndex] : null;
+        const seat = c.isSpectator ? 'spectating' : `slot ${c.playerSlotIndex ?? '-'}`;
+        sendPlayerChat(client.socket, `#${c.id} ${slot ? slot.name : '-'} room ${c.roomId ?? '-'} ${seat} ${c.socket.remoteAddress}${c.isOperator ? ' (op)' : ''}`);
+      }
+    }
+  },
+  kick: {
+    usage: '/kick <client>',
+    operator: true,
+    handler(client, args) {
+      const target = findTargetClient(client, args[0]);
+      if (!target) return;
+      sendPlayerChat(target.socket, 'You were kicked by an operator.');
+      disconnect(target.id, 'kicked', false, `by operator Client ${client.id}`);
+      sendPlayerChat(client.socket, `Kicked client #${target.id}.`);
+    }
+  },
+  move: {
+    usage: '/move <client> <room>',
+    operator: true,
+    handler(client, args) {
+      const target = findTargetClient(client, args[0]);
+      const room = target && findTargetRoom(client, args[1]);
+      if (!room) return;
+      if (room.id === target.roomId) {
+        sendPlayerChat(client.socket, `Client #${target.id} is already in Room ${room.id}.`);
+        return;
+      }
+      if (room.playback) {
+        sendPlayerChat(client.socket, `Room ${room.id} is a replay playback room.`);
+        return;
+      }
+      if (!moveClientToRoom(target, room)) {
+        sendPlayerChat(client.socket, `Room ${room.id} is full or in battle.`);
+        return;
+      }
+      sendPlayerChat(target.socket, `An operator moved you to Room ${room.id}.`);
+      sendPlayerChat(client.socket, `Moved client #${target.id} to Room ${room.id}.`);
+    }
+  },
+  forceready: {
+    usage: '/forceready <client>',
+    operator: true,
+    handler(client, args) {
+      const target = findTargetClient(client, args[0]);
+      if (!target) return;
+      const room = rooms.get(target.roomId);
+      if (!room || room.inBattle) {
+        sendPlayerChat(client.socket, `Client #${target.id} is not in a lobby.`);
+        return;
+      }
+      log(`Operator Client ${client.id} forcing slot ${target.playerSlotIndex} ready in Room ${room.id}`, clientFields(client, { targetClientId: target.id, roomId: room.id }));
+      markSlotReady(room, target.playerSlotIndex);
+      sendPlayerChat(client.socket, `Client #${target.id} marked ready.`);
+    }
+  },
+  reset: {
+    usage: '/reset <room>',
+    operator: true,
+    handler(client, args) {
+      const room = findTargetRoom(client, args[0]);
+      if (!room) return;
+      log(`Operator Client ${client.id} resetting Room ${room.id}`, clientFields(client, { roomId: room.id }));
+      resetRoom(room);
+      sendPlayerChat(client.socket, `Room ${room.id} reset.`);
+    }
+  },
+  flood: {
+    usage: '/flood',
+    operator: true,
+    handler(client) {
+      const kinds = Object.entries(floodStats.dropped).map(([kind, count]) => `${kind} ${count}`);
+      sendPlayerChat(client.socket, `Dropped: ${kinds.join(', ') || 'nothing'}; ${floodStats.warnings} warning(s), ${floodStats.disconnects} disconnect(s)`);
+      for (const c of clients.values()) {
+        const dropped = totalDropped(c.rateLimiter);
+        if (dropped === 0) continue;
+        const detail = Object.entries(c.rateLimiter.dropped).map(([kind, count]) => `${kind} ${count}`).join(', ');
+        sendPlayerChat(client.socket, `#${c.id} ${getClientName(c) || '-'}: ${dropped} dropped (${detail}), ${c.rateLimiter.warnings} warning(s)`);
+      }
+    }
+  },
+  log: {
+    usage: '/log [level <level>|<category> <on|off>]',
+    operator: true,
+    handler(client, args) {
+      const [what, value] = args.map(arg => arg.toLowerCase());
+      if (what === 'level') {
+        if (!Object.hasOwn(LOG_LEVELS, value)) {
+          sendPlayerChat(client.socket, `Usage: /log level <${Object.keys(LOG_LEVELS).join('|')}>`);
+          return;
+        }
+        log(`Operator Client ${client.id} set the log level to ${value}`, clientFields(client));
+        setLogLevel(logger, value);
+      } else if (what) {
+        if (!Object.hasOwn(LOG_CATEGORIES, what) || (value !== 'on' && value !== 'off')) {
+          sendPlayerChat(client.socket, `Usage: /log <${Object.keys(LOG_CATEGORIES).join('|')}> <on|off>`);
+          return;
+        }
+        setLogCategory(logger, what, value === 'on');
+        log(`Operator Client ${client.id} switched ${what} logging ${value}`, clientFields(client));
+      }
+      const categories = Object.keys(LOG_CATEGORIES).map(name => `${name} ${logger.categories.has(name) ? 'on' : 'off'}`);
+      sendPlayerChat(client.socket, `Log level ${logger.level}; ${categories.join(', ')}`);
+    }
+  },
+  broadcast: {
+    usage: '/broadcast <message>',
+    operator: true,
+    handler(client, args) {
+      if (args.length === 0) {
+        sendPlayerChat(client.socket, 'Usage: /broadcast <message>');
+        return;
+      }
+      log(`Operator Client ${client.id} broadcast: ${args.join(' ')}`, clientFields(client));
+      broadcastServerMessage(`[server] ${args.join(' ')}`);
+    }
+  }
+};
+
+function handleChatCommand(client, command) {
+  const entry = LOBBY_CHAT_COMMANDS[command.name];
+  if (!entry || (entry.operator && !client.isOperator)) {
+    sendPlayerChat(client.socket, `Unknown command /${command.name}. Type /help`);
+    return;
+  }
+  const room = rooms.get(client.roomId);
+  if (room && room.inBattle && !client.isSpectator && !entry.battle) {
+    sendPlayerChat(client.socket, 'Commands are not available during battle.');
+    return;
+  }
+  // Never write passwords or secrets to the log
+  const shownArgs = entry.sensitive ? '(arguments hidden)' : command.args.join(' ');
+  log(`Client ${client.id}: chat command /${command.name} ${shownArgs}`, clientFields(client, { chatCommand: command.name }));
+  entry.handler(client, command.args);
+}
+
+// Send next battle ping and set up timeout
+function sendNextBattlePing(client) {
+  if (!client || !client.battlePingState || client.battlePingState.waitingForEcho) {
+    return;
+  }
+
+  // Send battle_ping1 (original behaviour)
+  logCategory('ping', `Client ${client.id}: sending battle_pings 1 and 2, counter=${client.battlePingState.counter}`, clientFields(client));
+  // First counter counts from 0, the second starts from the initial packet counter
+  sendCommand(client.socket, 'battle_ping1', {
+    counter: client.battlePingState.counter,
+    packetCounter: client.battlePingState.initialPacketCounter + client.battlePingState.counter
+  });
 
   // Start sending battle_ping2 only from the second ping onward
   // WARNING: disabled it right now until startup delay issues are resolved
   if (client.battlePingState.counter > 0xffffffffffff) {
-    // Data format: 6 bytes -> [0x00, 0x00, 4-byte counter]
-    const buf2 = Buffer.alloc(6);
-    buf2[0] = 0xff; // magic number
-    buf2[1] = 0xff; // magic number
-    buf2.writeUInt32LE(client.battlePingState.counter, 2);
-    sendCommandPacket(client.socket, ROOM_COMMANDS.battle_ping2, buf2);
+    sendCommand(client.socket, 'battle_ping2', { magic: [0xff, 0xff], counter: client.battlePingState.counter });
   }
   client.battlePingState.waitingForEcho = true;
   client.battlePingState.lastPingSentAt = Date.now();
@@ -637,7 +2690,9 @@ function sendNextBattlePing(client) {
   // Set timeout in case echo is never received
   client.battlePingState.timeoutId = setTimeout(() => {
     if (client.battlePingState && client.battlePingState.waitingForEcho) {
-      log(`Client ${client.id}: Battle ping echo timeout, sending next ping anyway`);
+      client.battlePingState.missedEchoes = (client.battlePingState.missedEchoes || 0) + 1;
+      if (client.battlePingState.missedEchoes >= LEFT_BATTLE_MISSED_PINGS && noteLeftBattle(client, 'battle pings unanswered')) return;
+      logWarning(`Client ${client.id}: Battle ping echo timeout, sending next ping anyway`, clientFields(client));
       client.battlePingState.waitingForEcho = false;
       client.battlePingState.counter++;
       sendNextBattlePing(client);
@@ -652,7 +2707,8 @@ function handleBattlePingEcho(client) {
   }
 
   const echoDelay = Date.now() - client.battlePingState.lastPingSentAt;
-  vlog(`Client ${client.id}: Battle ping echo received after ${echoDelay}ms`);
+  client.battlePingState.latencyMs = echoDelay;
+  logCategory('ping', `Client ${client.id}: Battle ping echo received after ${echoDelay}ms`, clientFields(client));
   
   // Clear timeout
   if (client.battlePingState.timeoutId) {
@@ -661,6 +2717,7 @@ function handleBattlePingEcho(client) {
   }
 
   client.battlePingState.waitingForEcho = false;
+  client.battlePingState.missedEchoes = 0;
   client.battlePingState.counter++;
   
   // Wait the appropriate interval before sending next ping
@@ -672,525 +2729,645 @@ function handleBattlePingEcho(client) {
 }
 
 
-function parseClientBinary(client, buf) {
-  if (!client || !Buffer.isBuffer(buf) || buf.length === 0) return;
-  const id = client.id;
-  let offset = 0;
+// A frame or command over its limit was dropped. Clients that keep flooding are warned
+// once and then disconnected, see rate_limiter.js.
+function handleFloodViolation(client, kind) {
+  floodStats.dropped[kind] = (floodStats.dropped[kind] || 0) + 1;
+  incrementCounter(metrics, 'dc_flood_dropped_total', { kind });
+  const action = recordViolation(client.rateLimiter, kind);
+  if (action === 'warn') {
+    floodStats.warnings++;
+    logWarning(`Client ${client.id}: flood warning (${kind})`, clientFields(client));
+    sendPlayerChat(client.socket, '[server] You are sending too fast. Slow down or you will be disconnected.');
+  } else if (action === 'disconnect') {
+    floodStats.disconnects++;
+    sendPlayerChat(client.socket, '[server] Disconnected for flooding.');
+    disconnect(client.id, 'flooding', false, kind);
+  } else {
+    vlog(`Client ${client.id}: dropped ${kind} over its rate limit`, clientFields(client));
+  }
+}
 
-  // STEP 1: Collect all commands from the packet into a list
-  const commandList = [];
-  
-  while (offset < buf.length) {
-    // Check if we have at least 2 bytes for length header
-    if (offset + 2 > buf.length) {
-      log(`Client ${id}: Not enough bytes for command header at offset ${offset}`);
-      break;
+// Players change only their own slot. The room host and operators may also change the other
+// occupied slots (players and AI); empty slots are never changed by a client.
+function canChangeSlot(room, client, ordinal) {
+  const slot = room.playerSlots[ordinal];
+  if (!slot || !isOccupiedSlot(slot)) return false;
+  return ordinal === client.playerSlotIndex || isRoomHost(room, client) || client.isOperator;
+}
+
+// Drop a slot command the sender was not allowed to send. The sender's client may already
+// show the change, so it gets a fresh snapshot of the real room state.
+function rejectSlotCommand(client, room, commandName, ordinal) {
+  logWarning(`Client ${client.id}: rejected ${commandName} for slot ${ordinal} in Room ${room.id} (own slot ${client.playerSlotIndex})`, clientFields(client, { command: commandName, targetSlot: ordinal }));
+  if (client.socket && !client.socket.destroyed) sendRoomData(client.socket, room, client.playerSlotIndex);
+}
+
+// Relay a battle command to the room exactly as the client sent it
+function relayBattleCommand(client, fields, { name, data }) {
+  logCategory('relay', `Command from Client ${client.id}: ${name} (broadcasting all ${data.length} data bytes)`, clientFields(client, { command: name }));
+  const room = rooms.get(client.roomId);
+  if (room) {
+    relayFromClient(client, room, name, data);
+  }
+}
+
+// Handlers of decoded client commands: handler(client, fields, { name, fields, data }) where
+// fields are named as in COMMAND_LAYOUTS and data is the raw payload. Commands without an
+// entry are only logged.
+const CLIENT_COMMAND_HANDLERS = {
+  player_name(client, { slot: playerOrdinal, name: playerName }) {
+    log(`Command from Client ${client.id}: player_name ordinal=${playerOrdinal} ${playerName ? '(' + playerName + ')' : ''}`, clientFields(client, { command: 'player_name' }));
+
+    // Update the room's player slot data
+    const room = rooms.get(client.roomId);
+    if (!room) return;
+    const slot = room.playerSlots[playerOrdinal];
+    if (!slot) return;
+    slot.name = playerName.replace(/[^\x20-\x7e]/g,'').slice(0,32) || `Player${playerOrdinal}`;
+    log(`Updated slot ${playerOrdinal} name to "${slot.name}" in Room ${room.id}`, { slot: playerOrdinal, roomId: room.id });
+
+    // Broadcast to all clients in the room
+    broadcastCommand(room, 'player_name', { slot: playerOrdinal, name: slot.name });
+
+    // A player who dropped mid-battle identifies by name from the same address
+    const ownSlot = playerOrdinal === client.playerSlotIndex;
+    const reconnect = !room.inBattle && ownSlot ? findHeldSlot(slot.name, client.socket.remoteAddress) : null;
+    if (reconnect) reattachClient(client, reconnect.room, reconnect.held);
+    else if (!room.inBattle) scheduleTournamentMatches();
+  },
+
+  player_chat(client, { message: chatMsg }) {
+    if (isChatTooLong(client.rateLimiter, chatMsg)) {
+      handleFloodViolation(client, 'chat_length');
+      return;
     }
 
-    // Read length from first 2 bytes (little endian with mask 0xff 0x0f)
-    const lenLow = buf[offset];
-    const lenHigh = buf[offset + 1] & 0x0f;
-    const cmdLength = lenLow | (lenHigh << 8);
+    // Slash commands are answered privately and never reach the room (nor the log verbatim)
+    const chatCommand = parseChatCommand(chatMsg);
+    if (chatCommand) {
+      handleChatCommand(client, chatCommand);
+      return;
+    }
+    log(`Command from Client ${client.id}: player_chat${chatMsg ? ' ' + chatMsg : ''}`, clientFields(client, { command: 'player_chat' }));
+
+    // Broadcast to all clients in the room
+    const room = rooms.get(client.roomId);
+    if (room) {
+      const cleanMessage = chatMsg.replace(/\r|\n/g,'');
+      broadcastCommand(room, 'player_chat', { message: cleanMessage.slice(0,rateLimitConfig.chat.maxLength) });
+
+      // If the user types "ready" in the lobby chat, broadcast their ready state
+      if (/\bready\b/i.test(cleanMessage) && room.playerSlots[client.playerSlotIndex]) {
+        log(`Client ${client.id} typed "ready" in chat -> proceeding to mark them as ready.`, clientFields(client));
+        markSlotReady(room, client.playerSlotIndex);
+      }
+    }
+  },
 
-    // verbose: per-command offsets
-    vlog(`Client ${id}: Command at offset ${offset}, length=${cmdLength} (0x${lenLow.toString(16).padStart(2,'0')} 0x${buf[offset+1].toString(16).padStart(2,'0')})`);
+  player_ready(client) {
+    // Echo back the player_ready command with the client's actual player slot index
+    log(`Command from Client ${client.id}: player_ready -> broadcasting readiness for slot ${client.playerSlotIndex}`, clientFields(client, { command: 'player_ready' }));
 
-    // Check if we have the full command available
-    if (offset + cmdLength > buf.length) {
-      log(`Client ${id}: Incomplete command at offset ${offset}, need ${cmdLength} bytes but only have ${buf.length - offset}`);
-      break;
+    const room = rooms.get(client.roomId);
+    if (room) {
+      markSlotReady(room, client.playerSlotIndex);
     }
+  },
 
-    // Extract the command payload (skip the 2-byte length header)
-    const commandData = buf.slice(offset + 2, offset + cmdLength);
-    
-    // Add to command list
-    commandList.push(commandData);
+  player_race(client, { race, slot: playerOrdinal }) {
+    log(`Command from Client ${client.id}: player_race race=${race} slot=${playerOrdinal}`, clientFields(client, { command: 'player_race' }));
+
+    // Update the room's player slot race
+    const room = rooms.get(client.roomId);
+    if (room) {
+      const slot = room.playerSlots[playerOrdinal];
+      if (slot) {
+        slot.race = race === PLAYER_RACE.humans[0] ? 'humans' : 'aliens';
+        log(`Updated slot ${playerOrdinal} race to "${slot.race}" in Room ${room.id}`, { slot: playerOrdinal, roomId: room.id });
+      }
+
+      // Broadcast to all clients in the room
+      broadcastCommand(room, 'player_race', { race, slot: playerOrdinal });
+    }
+  },
+
+  player_color(client, { delta, slot: playerOrdinal }) {
+    // 0x6b is a *relative* color delta, NOT an absolute color (recv handler @0x0040F110:
+    // color = (color + delta) mod 8, then skip colors used by other slots). Wire is
+    // [delta][slot]. The sender has ALREADY applied this delta to its own view, so we:
+    //   1. apply the same delta to our canonical color (matching the client's algorithm),
+    //   2. propagate the change to the OTHER clients via a corrective delta computed from
+    //      each client's modeled view (so everyone converges on the canonical color).
+    const room = rooms.get(client.roomId);
+    if (!room) return;
+    const slot = room.playerSlots[playerOrdinal];
+    if (!slot || !isOccupiedSlot(slot)) return;
+    const before = slot.color;
+    const after = applyCanonicalColorDelta(room, playerOrdinal, delta);
+    logCategory('color', `player_color: client ${client.id} slot ${playerOrdinal} ${before}->${after} (delta ${delta})`, clientFields(client, { slot: playerOrdinal }));
+
+    if (!room.colorViews) room.colorViews = new Map();
+    // The client does NOT apply its own color click locally — it waits for the
+    // server to echo the change. So drive EVERY client (including the sender) to
+    // the new canonical color via a corrective delta from each one's modeled view.
+    for (const cid of room.clients) {
+      const oc = clients.get(cid);
+      if (!oc || !oc.socket || oc.socket.destroyed) continue;
+      const view = room.colorViews.get(oc.playerSlotIndex);
+      if (view) {
+        const d2 = (((after - view[playerOrdinal]) % 8) + 8) % 8;
+        if (d2 !== 0) sendColorDelta(oc.socket, playerOrdinal, d2);
+        view[playerOrdinal] = after;
+      } else {
+        sendCommand(oc.socket, 'player_color', { delta, slot: playerOrdinal });
+      }
+    }
+    logColorMap(room, `after manual color change slot ${playerOrdinal}`);
+  },
 
-    // Move to next command
-    offset += cmdLength;
+  player_team(client, { team, slot: playerOrdinal }) {
+    log(`Command from Client ${client.id}: player_team team=${team} slot=${playerOrdinal}`, clientFields(client, { command: 'player_team' }));
+
+    // Update the room's player slot team
+    const room = rooms.get(client.roomId);
+    if (room) {
+      const slot = room.playerSlots[playerOrdinal];
+      if (slot) {
+        slot.team = team;
+        log(`Updated slot ${playerOrdinal} team to ${slot.team} in Room ${room.id}`, { slot: playerOrdinal, roomId: room.id });
+      }
+
+      // Broadcast to all clients in the room
+      broadcastCommand(room, 'player_team', { team, slot: playerOrdinal });
+    }
+  },
+
+  room_param(client, param) {
+    log(`Command from Client ${client.id}: room_param id=${param.id} value=${param.value}`, clientFields(client, { command: 'room_param' }));
+
+    const room = rooms.get(client.roomId);
+    if (room) {
+      // Record the option so late joiners get it in their snapshot
+      if (param.id < ROOM_PARAM_COUNT) {
+        room.params[param.id] = param.value;
+        log(`Room ${room.id}: ${roomOptionName(param.id)} set to ${param.value} by Client ${client.id}`, clientFields(client, { roomId: room.id }));
+      }
+
+      // Broadcast to room (includes sender), effectively echoing room params.
+      broadcastCommand(room, 'room_param', param);
+    }
+  },
+
+  begin_battle(client) {
+    log(`Command from Client ${client.id}: begin_battle -> player initiating battle`, clientFields(client, { command: 'begin_battle' }));
+
+    // Mark this client as having initiated battle
+    client.battleInitiated = true;
+
+    // Back from a reconnect: the battle is already running
+    if (client.pendingReattach) {
+      resumeReattachedClient(client);
+      return;
+    }
+
+    // Check if all clients in the room have initiated battle
+    const room = rooms.get(client.roomId);
+    const capacityError = room ? getRoomCapacityError(room) : null;
+    if (capacityError) {
+      log(`Room ${room.id}: not starting battle: ${capacityError}`, { roomId: room.id });
+    } else if (room && !room.inBattle && !client.isSpectator && checkAllClientsInitiatedBattle(room)) {
+      startRoomBattle(room);
+      log(`All ${room.clients.size} clients in Room ${room.id} have initiated battle`, { roomId: room.id });
+
+      // Broadcast game speed 200% to all clients in the room
+      // COMMENTED OUT TO DEBUG SYNC ISSUES AT STARTUP
+      //broadcastCommand(room, 'game_speed', { speed: 0x21, reserved: Buffer.alloc(3) });
+      //log(`Broadcasted game speed 200% to all clients in Room ${room.id}`);
+    }
+
+    // Initialize battle ping state
+    if (client.battlePingState) {
+      if (client.battlePingState.timeoutId) {
+        clearTimeout(client.battlePingState.timeoutId);
+      }
+    }
+    client.battlePingState = {
+      counter: 0,
+      initialPacketCounter: (client.socket.__packetCounter >> 4) || 0,
+      waitingForEcho: false,
+      timeoutId: null,
+      lastPingSentAt: null,
+      latencyMs: null // last battle ping round trip
+    };
+    // Send the first ping
+    sendNextBattlePing(client);
+  },
+
+  battle_ping1(client, { counter }) {
+    // Check if first counter equals 0xFFFFFFFF and log this fact
+    if (counter === 0xffffffff) {
+      logCategory('ping', `Command from Client ${client.id}: battle_ping1 0xFFFFFFFF`, clientFields(client, { command: 'battle_ping1' }));
+    }
+    logCategory('ping', `Command from Client ${client.id}: battle_ping1 (echo received)`, clientFields(client, { command: 'battle_ping1' }));
+    handleBattlePingEcho(client);
+  },
+
+  battle_ping2(client) {
+    // battle_ping2 does not send echo by protocol definition, just log it
+    logCategory('ping', `Command from Client ${client.id}: battle_ping2 (no echo expected)`, clientFields(client, { command: 'battle_ping2' }));
+  },
+
+  unit_move(client, fields, { data }) {
+    // Broadcast the unit_move command without an optional trailing 0x00 training byte
+    let moveData = data;
+    if (moveData.length > 0 && moveData[moveData.length - 1] === 0x00) {
+      logCategory('relay', `Command from Client ${client.id}: unit_move (stripping trailing training 0x00)`, clientFields(client, { command: 'unit_move' }));
+      moveData = moveData.subarray(0, -1);
+    } else {
+      logCategory('relay', `Command from Client ${client.id}: unit_move (broadcasting ${moveData.length} data bytes)`, clientFields(client, { command: 'unit_move' }));
+    }
+    const room = rooms.get(client.roomId);
+    if (room) {
+      relayFromClient(client, room, 'unit_move', moveData);
+    }
+  },
+
+  unit_attack: relayBattleCommand,
+  battle_ping3_data: relayBattleCommand,
+  battle_ping3: relayBattleCommand,
+  unit_destination_data: relayBattleCommand,
+  unit_destination: relayBattleCommand,
+  button_unit: relayBattleCommand,
+  button_building: relayBattleCommand,
+  unit_inspire: relayBattleCommand,
+  button_upgrade: relayBattleCommand,
+  button_superweapon: relayBattleCommand,
+
+  battle_chat(client, { message: chatMsg }, { data }) {
+    if (isChatTooLong(client.rateLimiter, chatMsg)) {
+      handleFloodViolation(client, 'chat_length');
+      return;
+    }
+    // Chat commands usable in battle (/surrender, /victory) are answered by the server and not relayed
+    const chatCommand = parseChatCommand(chatMsg);
+    if (chatCommand && LOBBY_CHAT_COMMANDS[chatCommand.name]?.battle) {
+      handleChatCommand(client, chatCommand);
+      return;
+    }
+    log(`Command from Client ${client.id}: battle_chat${chatMsg ? ' "' + chatMsg + '"' : ' (empty)'}`, clientFields(client, { command: 'battle_chat' }));
+    const room = rooms.get(client.roomId);
+    if (room) {
+      relayFromClient(client, room, 'battle_chat', data);
+    }
+    if (room && room.battle && isGoodGame(chatMsg)) {
+      noteGoodGame(room.battle, client.playerSlotIndex);
+    }
+  },
+
+  game_speed(client, { speed }, { data }) {
+    // Broadcast the game speed change (4 bytes: speed value + 3 bytes)
+    if (data.length >= 1) {
+      // Map speed values to percentages for logging (0x21=200%, 0x3c=110%)
+      const speedPercent = speed <= 0x21 ? 200 : (speed >= 0x3c ? 110 : Math.round(200 - ((speed - 0x21) * 90 / (0x3c - 0x21))));
+      logCategory('relay', `Command from Client ${client.id}: game_speed (speed=${speedPercent}%, value=0x${speed.toString(16).padStart(2,'0')})`, clientFields(client, { command: 'game_speed' }));
+    } else {
+      logCategory('relay', `Command from Client ${client.id}: game_speed (broadcasting all ${data.length} data bytes)`, clientFields(client, { command: 'game_speed' }));
+    }
+    const room = rooms.get(client.roomId);
+    if (room) {
+      relayFromClient(client, room, 'game_speed', data);
+    }
+  }
+};
+
+// Checks every decoded client command passes before its handler runs
+function handleClientCommand(client, command) {
+  const { name, fields } = command;
+  if (client.isSpectator && !SPECTATOR_COMMANDS.has(name)) {
+    vlog(`Client ${client.id}: ignoring ${name} from spectator`, clientFields(client));
+    return;
+  }
+  if (!allowCommand(client.rateLimiter, name)) {
+    handleFloodViolation(client, name);
+    return;
   }
+  incrementCounter(metrics, 'dc_commands_received_total', { command: name });
+
+  if (!fields) {
+    logWarning(`Client ${client.id}: ignoring malformed ${name} (${command.data.length} data bytes)`, clientFields(client, { command: name, data: command.data.toString('hex') }));
+    return;
+  }
+
+  if (LOBBY_SCREEN_COMMANDS.has(name)) noteLeftBattle(client, name);
+
+  // Slot commands name the slot they change; never trust that it is the sender's own
+  if (SLOT_COMMANDS.has(name)) {
+    const room = rooms.get(client.roomId);
+    if (room && !canChangeSlot(room, client, fields.slot)) {
+      rejectSlotCommand(client, room, name, fields.slot);
+      return;
+    }
+  }
+
+  const handler = CLIENT_COMMAND_HANDLERS[name];
+  if (handler) handler(client, fields, command);
+  else log(`Command from Client ${client.id}: ${name}`, clientFields(client, { command: name }));
+}
+
+function parseClientBinary(client, chunk) {
+  if (!client || !Buffer.isBuffer(chunk) || chunk.length === 0) return;
+  const id = client.id;
+
+  // STEP 1: Reassemble complete frames from the stream (a frame may straddle TCP chunks)
+  const { frames, warnings } = pushFrameChunk(client.frameDecoder, chunk);
+  if (packetCapture) {
+    for (const frame of frames) {
+      captureFrame(packetCapture, {
+        dir: 'in',
+        client: id,
+        room: client.roomId,
+        slot: client.playerSlotIndex,
+        counter: frame.counter,
+        body: frame.data,
+        redacted: isSensitiveChatFrame(frame.data)
+      });
+    }
+  }
+  for (const warning of warnings) {
+    logWarning(`Client ${id}: ${warning}`, clientFields(client));
+  }
+  const commandList = frames.map(frame => frame.data);
 
   // verbose: summary of parsed commands in packet
-  vlog(`Client ${id}: Collected ${commandList.length} command(s) from packet`);
-
-  // STEP 2: Process commands from the list
-  for (const commandData of commandList) {
-    let matched = false;
-    for (const [name, pattern] of Object.entries(ROOM_COMMANDS)) {
-      if (commandData.length >= pattern.length && commandData.slice(0, pattern.length).equals(pattern)) {
-        matched = true;
-        let remaining = commandData.slice(pattern.length);
-        
-        // Strip trailing 0x00 from this command's data (each command has its own terminator)
-        if (remaining.length > 0 && remaining[remaining.length - 1] === 0x00) {
-          remaining = remaining.slice(0, -1);
-        }
-        
-        if (name === 'player_name') {
-          // Format: [player_ordinal_byte] [0x00] [name_string] [0x00]
-          if (remaining.length >= 2) {
-            const playerOrdinal = remaining[0];
-            const nameStart = 2;
-            let nameEnd = remaining.indexOf(0x00, nameStart);
-            if (nameEnd === -1) nameEnd = remaining.length;
-            const playerName = remaining.slice(nameStart, nameEnd).toString('ascii');
-            log(`Command from Client ${id}: ${name} ordinal=${playerOrdinal} ${playerName ? '(' + playerName + ')' : ''}`);
-            
-            // Update the room's player slot data
-            const room = rooms.get(client.roomId);
-            if (room) {
-              const slot = room.playerSlots[playerOrdinal];
-              if (slot) {
-                slot.name = playerName.replace(/[^\x20-\x7e]/g,'').slice(0,32) || `Player${playerOrdinal}`;
-                log(`Updated slot ${playerOrdinal} name to "${slot.name}" in Room ${room.id}`);
-              }
-              
-              // Broadcast to all clients in the room
-              const data = Buffer.concat([Buffer.from([playerOrdinal, 0x00]), Buffer.from(slot.name,'ascii'), Buffer.from([0x00])]);
-              broadcastCommandPacket(room, ROOM_COMMANDS.player_name, data);
-            }
-          }
-        } else if (name === 'player_chat') {
-          let end = remaining.indexOf(0x00);
-          if (end === -1) end = remaining.length;
-          const chatMsg = remaining.slice(0, end).toString('ascii');
-          log(`Command from Client ${id}: ${name}${chatMsg ? ' ' + chatMsg : ''}`);
-          
-          // Broadcast to all clients in the room
-          const room = rooms.get(client.roomId);
-          if (room) {
-            const cleanMessage = chatMsg.replace(/\r|\n/g,'');
-            const clean = Buffer.from(cleanMessage.slice(0,120),'ascii');
-            const data = Buffer.concat([clean, Buffer.from([0x00])]);
-            broadcastCommandPacket(room, ROOM_COMMANDS.player_chat, data);
-
-            // If the user types "ready" in the lobby chat, broadcast their ready state
-            if (/\bready\b/i.test(cleanMessage)) {
-              const slot = room.playerSlots[client.playerSlotIndex];
-              if (slot) {
-                log(`Client ${id} typed "ready" in chat -> proceeding to mark them as ready.`);
-                slot.ready = true;
-                log(`Updated slot ${client.playerSlotIndex} ready state to true in Room ${room.id}`);
-                
-                const playerIndex = PLAYER_INDEX[`p${client.playerSlotIndex}`];
-                broadcastCommandPacket(room, ROOM_COMMANDS.player_ready, Buffer.from([...PLAYER_READY.ready_for_battle, ...playerIndex]));
-                
-                let allClientsReady = true;
-                for (const clientId of room.clients) {
-                  const c = clients.get(clientId);
-                  if (c && c.playerSlotIndex !== undefined) {
-                    const s = room.playerSlots[c.playerSlotIndex];
-                    if (s && !s.ready && s.type !== 'none') {
-                      allClientsReady = false;
-                      break;
-                    }
-                  }
-                }
-                
-                if (allClientsReady && room.clients.size > 0) {
-                  const aiSlot = room.playerSlots[0];
-                  if (aiSlot && !aiSlot.ready) {
-                    aiSlot.ready = true;
-                    log(`All clients ready in Room ${room.id}. Marking AI slot 0 as ready.`);
-                    const aiPlayerIndex = PLAYER_INDEX.p0;
-                    broadcastCommandPacket(room, ROOM_COMMANDS.player_ready, Buffer.from([...PLAYER_READY.ready_for_battle, ...aiPlayerIndex]));
-                  }
-                }
-              }
-            }
-          }
-        } else if (name === 'player_ready') {
-          // Echo back the player_ready command with the client's actual player slot index
-          const playerIndex = PLAYER_INDEX[`p${client.playerSlotIndex}`];
-          log(`Command from Client ${id}: ${name} -> broadcasting readiness for slot ${client.playerSlotIndex}`);
-          
-          // Update the room's player slot ready state
-          const room = rooms.get(client.roomId);
-          if (room) {
-            const slot = room.playerSlots[client.playerSlotIndex];
-            if (slot) {
-              slot.ready = true;
-              log(`Updated slot ${client.playerSlotIndex} ready state to true in Room ${room.id}`);
-            }
-            
-            // Broadcast to all clients in the room
-            broadcastCommandPacket(room, ROOM_COMMANDS.player_ready, Buffer.from([...PLAYER_READY.ready_for_battle, ...playerIndex]));
-            
-            // Check if all connected clients (gamers) are ready
-            let allClientsReady = true;
-            for (const clientId of room.clients) {
-              const c = clients.get(clientId);
-              if (c && c.playerSlotIndex !== undefined) {
-                const s = room.playerSlots[c.playerSlotIndex];
-                if (s && !s.ready) {
-                  allClientsReady = false;
-                  break;
-                }
-              }
-            }
-            
-            // If all clients are ready, mark the first slot (AI) as ready and broadcast
-            if (allClientsReady && room.clients.size > 0) {
-              const aiSlot = room.playerSlots[0];
-              if (aiSlot && !aiSlot.ready) {
-                aiSlot.ready = true;
-                log(`All clients ready in Room ${room.id}. Marking AI slot 0 as ready.`);
-                
-                // Broadcast AI ready status to all clients
-                const aiPlayerIndex = PLAYER_INDEX.p0;
-                broadcastCommandPacket(room, ROOM_COMMANDS.player_ready, Buffer.from([...PLAYER_READY.ready_for_battle, ...aiPlayerIndex]));
-              }
-            }
-          }
-        } else if (name === 'player_race') {
-          log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          
-          // Update the room's player slot race
-          if (remaining.length >= 2) {
-            const raceValue = remaining[0];
-            const playerOrdinal = remaining[1];
-            const room = rooms.get(client.roomId);
-            if (room) {
-              const slot = room.playerSlots[playerOrdinal];
-              if (slot) {
-                slot.race = raceValue === 0x01 ? 'humans' : 'aliens';
-                log(`Updated slot ${playerOrdinal} race to "${slot.race}" in Room ${room.id}`);
-              }
-              
-              // Broadcast to all clients in the room
-              broadcastCommandPacket(room, ROOM_COMMANDS.player_race, remaining);
-            }
-          }
-        } else if (name === 'player_color') {
-          // 0x6b is a *relative* color delta, NOT an absolute color (recv handler @0x0040F110:
-          // color = (color + delta) mod 8, then skip colors used by other slots). Wire is
-          // [delta][slot]. The sender has ALREADY applied this delta to its own view, so we:
-          //   1. apply the same delta to our canonical color (matching the client's algorithm),
-          //   2. propagate the change to the OTHER clients via a corrective delta computed from
-          //      each client's modeled view (so everyone converges on the canonical color).
-          if (remaining.length >= 2) {
-            const delta = remaining[0];
-            const playerOrdinal = remaining[1];
-            const room = rooms.get(client.roomId);
-            if (room) {
-              const slot = room.playerSlots[playerOrdinal];
-              if (slot && isOccupiedSlot(slot)) {
-                const before = slot.color;
-                const after = applyCanonicalColorDelta(room, playerOrdinal, delta);
-                log(`player_color: client ${id} slot ${playerOrdinal} ${before}->${after} (delta ${delta})`);
-
-                if (!room.colorViews) room.colorViews = new Map();
-                // The client does NOT apply its own color click locally — it waits for the
-                // server to echo the change. So drive EVERY client (including the sender) to
-                // the new canonical color via a corrective delta from each one's modeled view.
-                for (const cid of room.clients) {
-                  const oc = clients.get(cid);
-                  if (!oc || !oc.socket || oc.socket.destroyed) continue;
-                  const view = room.colorViews.get(oc.playerSlotIndex);
-                  if (view) {
-                    const d2 = (((after - view[playerOrdinal]) % 8) + 8) % 8;
-                    if (d2 !== 0) sendColorDelta(oc.socket, playerOrdinal, d2);
-                    view[playerOrdinal] = after;
-                  } else {
-                    sendCommandPacket(oc.socket, ROOM_COMMANDS.player_color, Buffer.from(remaining));
-                  }
-                }
-                logColorMap(room, `after manual color change slot ${playerOrdinal}`);
-              }
-            }
-          }
-        } else if (name === 'player_team') {
-          log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          
-          // Update the room's player slot team
-          if (remaining.length >= 2) {
-            const teamValue = remaining[0];
-            const playerOrdinal = remaining[1];
-            const room = rooms.get(client.roomId);
-            if (room) {
-              const slot = room.playerSlots[playerOrdinal];
-              if (slot) {
-                slot.team = teamValue;
-                log(`Updated slot ${playerOrdinal} team to ${slot.team} in Room ${room.id}`);
-              }
-              
-              // Broadcast to all clients in the room
-              broadcastCommandPacket(room, ROOM_COMMANDS.player_team, remaining);
-            }
-          }
-        } else if (name === 'room_param') {
-          log(`Command from Client ${id}: ${name} (echoing ${remaining.length} data bytes)`);
-
-          const room = rooms.get(client.roomId);
-          if (room) {
-            // Broadcast to room (includes sender), effectively echoing room params.
-            broadcastCommandPacket(room, ROOM_COMMANDS.room_param, remaining);
-          }
-        } else if (name === 'room_greeting') {
-          log(`Command from Client ${id}: ${name} -> room greeting`);
-        } else if (name === 'begin_battle') {
-          log(`Command from Client ${id}: ${name} -> player initiating battle`);
-          
-          // Mark this client as having initiated battle
-          client.battleInitiated = true;
-          
-          // Check if all clients in the room have initiated battle
-          const room = rooms.get(client.roomId);
-          if (room && checkAllClientsInitiatedBattle(room)) {
-            startRoomBattle(room);
-            log(`All ${room.clients.size} clients in Room ${room.id} have initiated battle`);
-            
-            // Broadcast game speed 200% to all clients in the room
-            // COMMENTED OUT TO DEBUG SYNC ISSUES AT STARTUP
-            //const gameSpeedData = Buffer.from([0x21, 0x00, 0x00, 0x00]);
-            //broadcastCommandPacket(room, ROOM_COMMANDS.game_speed, gameSpeedData);
-            //log(`Broadcasted game speed 200% to all clients in Room ${room.id}`);
-          }
-          
-          // Initialize battle ping state
-          if (client.battlePingState) {
-            if (client.battlePingState.timeoutId) {
-              clearTimeout(client.battlePingState.timeoutId);
-            }
-          }
-          client.battlePingState = {
-            counter: 0,
-            initialPacketCounter: (client.socket.__packetCounter >> 4) || 0,
-            waitingForEcho: false,
-            timeoutId: null,
-            lastPingSentAt: null
-          };
-          // Send the first ping
-          sendNextBattlePing(client);
-        } else if (name === 'battle_ping1') {
-          // Check if first counter equals 0xFFFFFFFF and log this fact
-          if (remaining && remaining.length >= 4) {
-            const counter = remaining.readUInt32BE(0);
-            if (counter === 0xffffffff) {
-              log(`Command from Client ${id}: ${name} 0xFFFFFFFF`);
-            }
-          }
-          log(`Command from Client ${id}: ${name} (echo received)`);
-          handleBattlePingEcho(client);
-        } else if (name === 'battle_ping2') {
-          // battle_ping2 does not send echo by protocol definition, just log it
-          log(`Command from Client ${id}: ${name} (no echo expected)`);
-        } else if (name === 'unit_attack') {
-          // Broadcast the full unit_attack command with all data bytes
-          log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.unit_attack, remaining);
-          }
-        } else if (name === 'unit_move') {
-          // Broadcast the unit_move command without an optional trailing 0x00 training byte
-          let moveData = remaining;
-          if (moveData.length > 0 && moveData[moveData.length - 1] === 0x00) {
-            log(`Command from Client ${id}: ${name} (stripping trailing training 0x00)`);
-            moveData = moveData.slice(0, -1);
-          } else {
-            log(`Command from Client ${id}: ${name} (broadcasting ${moveData.length} data bytes)`);
-          }
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.unit_move, moveData);
-          }
-        } else if (name === 'battle_ping3_data') {
-          // Broadcast the full battle_ping3_data command with all data bytes
-          log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.battle_ping3_data, remaining);
-          }
-        } else if (name === 'battle_ping3') {
-          // Broadcast the full battle_ping3 command with all data bytes
-          log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.battle_ping3, remaining);
-          }
-        } else if (name === 'unit_destination_data') {
-          // Broadcast the full unit_destination_data command with all data bytes
-          log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.unit_destination_data, remaining);
-          }
-        } else if (name === 'unit_destination') {
-          // Broadcast the full unit_destination command with all data bytes
-          log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.unit_destination, remaining);
-          }
-        } else if (name === 'button_unit') {
-          // Broadcast the full button_unit command with all data bytes
-          log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.button_unit, remaining);
-          }
-        } else if (name === 'button_building') {
-          // Broadcast the full button_building command with all data bytes
-          log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.button_building, remaining);
-          }
-        } else if (name === 'unit_inspire') {
-          // Broadcast the full unit_inspire command with all data bytes
-          log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.unit_inspire, remaining);
-          }
-        } else if (name === 'button_upgrade') {
-          // Broadcast the full button_upgrade command with all data bytes
-          log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.button_upgrade, remaining);
-          }
-        } else if (name === 'button_superweapon') {
-          // Broadcast the full button_superweapon command with all data bytes
-          log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.button_superweapon, remaining);
-          }
-        } else if (name === 'battle_chat') {
-          // Broadcast the battle chat message (skip first 2 bytes for logging - they are header)
-          const messageStart = remaining.length >= 2 ? 2 : 0;
-          const messageData = remaining.slice(messageStart);
-          let end = messageData.indexOf(0x00);
-          if (end === -1) end = messageData.length;
-          const chatMsg = messageData.slice(0, end).toString('ascii');
-          log(`Command from Client ${id}: ${name}${chatMsg ? ' "' + chatMsg + '"' : ' (empty)'}`);
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.battle_chat, remaining);
-          }
-        } else if (name === 'game_speed') {
-          // Broadcast the game speed change (4 bytes: speed value + 3 bytes)
-          if (remaining.length >= 1) {
-            const speedValue = remaining[0];
-            // Map speed values to percentages for logging (0x21=200%, 0x3c=110%)
-            const speedPercent = speedValue <= 0x21 ? 200 : (speedValue >= 0x3c ? 110 : Math.round(200 - ((speedValue - 0x21) * 90 / (0x3c - 0x21))));
-            log(`Command from Client ${id}: ${name} (speed=${speedPercent}%, value=0x${speedValue.toString(16).padStart(2,'0')})`);
-          } else {
-            log(`Command from Client ${id}: ${name} (broadcasting all ${remaining.length} data bytes)`);
-          }
-          const room = rooms.get(client.roomId);
-          if (room) {
-            broadcastCommandPacket(room, ROOM_COMMANDS.game_speed, remaining);
-          }
-        } else {
-          log(`Command from Client ${id}: ${name}`);
-        }
-        break;
-      }
+  logCategory('packet', `Client ${id}: Collected ${commandList.length} complete command(s), ${client.frameDecoder.pending.length} byte(s) pending`, clientFields(client));
+
+  // STEP 2: Decode and handle commands from the list
+  for (const body of commandList) {
+    if (!allowFrame(client.rateLimiter)) {
+      handleFloodViolation(client, 'frames');
+      if (!clients.has(id)) return;
+      continue;
     }
-    
-    if (!matched) {
-      log(`Unknown Command from Client ${id}: ${commandData.toString('hex')}`);
+    const command = decodeCommand(body);
+    if (command) {
+      handleClientCommand(client, command);
+    } else {
+      logWarning(`Unknown Command from Client ${id}: ${body.toString('hex')}`, clientFields(client, { data: body.toString('hex') }));
+      incrementCounter(metrics, 'dc_unknown_commands_total');
     }
+    if (!clients.has(id)) return; // disconnected for flooding
   }
 }
 
+// Ranked battles need two sides of humans with a real name each; default "PlayerN" names
+// would merge unrelated players into one leaderboard entry.
+battleEvents.on('matchResult', (result) => {
+  if (result.winners.length === 0 || result.losers.length === 0) return;
+  const players = [...result.winners, ...result.losers];
+  if (players.some(p => p.ai)) {
+    log(`Room ${result.roomId}: battle not ranked (AI players)`, { roomId: result.roomId });
+    return;
+  }
+  if (players.some(p => isDefaultPlayerName(p.name))) {
+    log(`Room ${result.roomId}: battle not ranked (unnamed players)`, { roomId: result.roomId });
+    return;
+  }
+  const changes = recordMatchResult(leaderboard, result.winners.map(p => p.name), result.losers.map(p => p.name));
+  try {
+    saveLeaderboard(leaderboard);
+  } catch (err) {
+    logError(`Could not save leaderboard: ${err.message}`);
+  }
+  log(`Leaderboard updated: ${Object.entries(changes).map(([name, delta]) => `${name} ${delta > 0 ? '+' : ''}${delta}`).join(', ')}`, { roomId: result.roomId });
+});
+
+// The replay ends where the outcome was decided and carries the result in its end line
+battleEvents.on('matchResult', (result, room) => {
+  stopReplayRecording(room, 'battle over', { result });
+});
+
+// Whoever is still connected goes back to the lobby together, once they have left the battle
+battleEvents.on('matchResult', (result, room) => {
+  if (rooms.get(room.id) === room) awaitReturnToLobby(room);
+});
+
+// In a campaign room a win by the human players completes the mission for every named one
+battleEvents.on('matchResult', (result, room) => {
+  if (!room.mission) return;
+  const index = room.mission.index;
+  const mission = missions[index];
+  const humans = result.winners.filter(p => !p.ai);
+  if (humans.length === 0) {
+    log(`Room ${room.id}: campaign mission ${index + 1} failed (${result.reason})`, { roomId: room.id });
+    broadcastRoomChat(room, `[mission ${index + 1}] ${mission.title} failed. Ready up to try again.`);
+    return;
+  }
+  const named = humans.map(p => p.name).filter(name => !isDefaultPlayerName(name));
+  recordMissionComplete(campaignProgress, mission, named);
+  try {
+    saveProgress(campaignProgress);
+  } catch (err) {
+    logError(`Could not save campaign progress: ${err.message}`);
+  }
+  log(`Room ${room.id}: campaign mission ${index + 1} completed by ${humans.map(p => p.name).join(', ')}`, { roomId: room.id });
+  const next = missions[index + 1];
+  broadcastRoomChat(room, `[mission ${index + 1}] ${mission.title} complete!${next ? ` Next: /mission ${index + 2} (${next.title})` : ' Campaign finished.'}`);
+});
+
+// A tournament room reports its winner to the bracket. Any finished battle may also free
+// players whose next tournament match is waiting for them.
+battleEvents.on('matchResult', (result, room) => {
+  const match = tournament && room.tournamentMatchId ? findMatch(tournament, room.tournamentMatchId) : null;
+  if (match) {
+    const players = matchPlayers(tournament, match).map(name => name && name.toLowerCase());
+    const winner = result.winners.find(p => players.includes(p.name.toLowerCase()));
+    if (!winner || !recordTournamentResult(match, winner.name)) {
+      log(`Room ${room.id}: battle did not decide tournament match ${match.id}`, { roomId: room.id });
+    }
+  }
+  scheduleTournamentMatches();
+});
+
+// A poll still open from before a restart closes when its original window ends
+const pendingPoll = getOpenPoll(polls);
+if (pendingPoll) armPollTimer(pendingPoll);
+
 const server = net.createServer((socket) => {
   const id = nextClientId++;
+  incrementCounter(metrics, 'dc_connections_total');
   const remote = `${socket.remoteAddress}:${socket.remotePort}`;
   
   // Find or create an available room
-  const room = getAvailableRoom();
+  const room = getAvailableRoom(socket.remoteAddress);
   
   const clientObj = { 
     id, 
     socket, 
-    buffer: '', 
+    frameDecoder: createFrameDecoder(),
     lastActivity: Date.now(),
     battlePingState: null,
     roomId: null,
     playerSlotIndex: null,
     battleInitiated: false,
-    mapSent: false
+    mapSent: false,
+    pendingReattach: null, // reconnected mid-battle, waiting for begin_battle (reattachClient)
+    isSpectator: false, // watching a room without a slot, see addSpectator()
+    spectatorViewSlot: null,
+    isOperator: false, // set by a successful /login
+    failedLogins: 0,
+    rateLimiter: createClientLimiter(rateLimitConfig)
   };
   clients.set(id, clientObj);
   socket.__packetCounter = 0x00; // initialize per-client packet counter
+  socket.__clientId = id; // lets sendCommandPacket tag captured frames with the client
   
-  // Add client to the room and get assigned slot
-  const result = addClientToRoom(id, room);
+  socket.setKeepAlive(true, 30_000);
+  socket.setNoDelay(true); // Disable Nagle's algorithm to send packets immediately without buffering
+
+  // Add client to the room, get assigned slot and send the lobby snapshot
+  const result = enterRoom(clientObj, room);
   
   if (result === null) {
-    log(`Client ${id} could not be added to any room - no free slots`);
+    logWarning(`Client ${id} could not be added to any room - no free slots`, { clientId: id });
     socket.destroy();
     clients.delete(id);
     return;
   }
   
-  const { slotIndex, hadExistingClients } = result;
-  
-  log(`Client ${id} connected from ${remote}. Active: ${clients.size}. Assigned to Room ${room.id} slot ${slotIndex}`);
-
-  socket.setKeepAlive(true, 30_000);
-  socket.setNoDelay(true); // Disable Nagle's algorithm to send packets immediately without buffering
-
-  sendRoomGreeting(socket, slotIndex);
-        
-  sendRoomData(socket, room, slotIndex);
-
-  // Mark that this client has received the map (now embedded in room data) so lobby pings can start
-  const c = clients.get(id);
-  if (c) c.mapSent = true;
+  log(`Client ${id} connected from ${remote}. Active: ${clients.size}. Assigned to Room ${room.id} slot ${result.slotIndex}`, { clientId: id, roomId: room.id, slot: result.slotIndex });
 
   //sendCommandPacket(socket, ROOM_COMMANDS.player_chat, `Welcome to Dark Colony Online!`);
   //sendCommandPacket(socket, ROOM_COMMANDS.player_chat, `Room: ${room.id}`);
-  //sendCommandPacket(socket, ROOM_COMMANDS.player_chat, `Random slot assigned: ${slotIndex + 1}`);
-
-  // Broadcast room update to existing clients after new client receives map packet
-  if (hadExistingClients) {
-    broadcastRoomUpdate(room, id);
-    log(`Broadcasting room update to existing clients in Room ${room.id} after new client received map`);
-  }
-
-  // Colors are never carried in the room snapshot, so every client renders its own guess
-  // (self = auto-picked color 1, everyone else = 0) and they diverge. Once the lobby has
-  // settled, push 0x6b deltas to drive every client to the canonical per-slot colors.
-  setTimeout(() => {
-    const r = rooms.get(room.id);
-    if (r) syncColorsAll(r);
-  }, 1200);
+  //sendCommandPacket(socket, ROOM_COMMANDS.player_chat, `Random slot assigned: ${result.slotIndex + 1}`);
 
   socket.on('data', (chunk) => {
     const client = clients.get(id); if (!client) return;
     client.lastActivity = Date.now();
     const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
-    vlog(`Received raw packet from Client ${id}. Hex ${buf.toString('hex')}`);
+    if (isLogEnabled(logger, 'debug', 'packet')) {
+      logCategory('packet', `Received raw packet from Client ${id}. Hex ${buf.toString('hex')}`, { clientId: id });
+    }
     parseClientBinary(client, buf);
-    const str = buf.toString('ascii');
-    client.buffer += str;
   });
 
-  socket.on('end', () => log(`Client ${id} ended connection`));
-  socket.on('error', (err) => log(`Client ${id} error:`, err.message));
+  socket.on('end', () => log(`Client ${id} ended connection`, { clientId: id }));
+  socket.on('error', (err) => logWarning(`Client ${id} socket error`, { clientId: id, error: err }));
   socket.on('close', (hadError) => { disconnect(id, hadError ? 'closed with error' : 'closed'); });
 });
 
-server.on('error', (err) => { log('Server error:', err); });
+server.on('error', (err) => { logError('Server error', { error: err }); });
 server.listen(PORT, HOST, () => { 
   log(`Game server listening on ${HOST}:${PORT} (unencrypted TCP)`);
   // Initialize the first room when server starts
   createRoom();
 });
 
+// Documents served by the status listener. Room passwords and client addresses are left out:
+// the listener has no authentication.
+function getRoomStatus(room) {
+  return {
+    id: room.id,
+    hostClientId: room.hostClientId,
+    inBattle: room.inBattle,
+    battleStartedAt: room.inBattle && room.battle ? new Date(room.battle.startedAt).toISOString() : null,
+    private: room.isPrivate,
+    hasPassword: !!room.password,
+    locked: room.locked,
+    playback: !!room.playback,
+    tournamentMatchId: room.tournamentMatchId,
+    mission: room.mission ? room.mission.id : null,
+    map: { filename: room.map.filename, name: shortMapName(room.map), type: room.map.type, maxPlayers: parseInt(room.map.playerCount, 10) },
+    options: Object.fromEntries(room.params.map((value, id) => [roomOptionName(id), value])),
+    slots: room.playerSlots.map(slot => ({
+      index: slot.index,
+      type: slot.type,
+      clientId: slot.clientId,
+      name: slot.name,
+      race: slot.race,
+      team: slot.team,
+      color: slot.color,
+      ready: slot.ready,
+      ai: isAiSlot(slot),
+      held: room.heldSlots.has(slot.index) // player dropped mid-battle, slot kept for a reconnect
+    })),
+    spectators: [...room.spectators]
+  };
+}
+
+function getClientStatus(client) {
+  const room = rooms.get(client.roomId);
+  const slot = room && client.playerSlotIndex !== null ? room.playerSlots[client.playerSlotIndex] : null;
+  return {
+    id: client.id,
+    name: slot ? slot.name : null,
+    roomId: client.roomId,
+    slot: client.isSpectator ? null : client.playerSlotIndex,
+    spectator: client.isSpectator,
+    operator: client.isOperator,
+    inBattle: client.battleInitiated,
+    battlePingMs: client.battlePingState ? client.battlePingState.latencyMs : null,
+    idleMs: Date.now() - client.lastActivity,
+    droppedByFloodProtection: totalDropped(client.rateLimiter)
+  };
+}
+
+function getServerStatus() {
+  return {
+    startedAt: new Date(serverStartedAt).toISOString(),
+    uptimeSeconds: Math.floor((Date.now() - serverStartedAt) / 1000),
+    rooms: [...rooms.values()].map(getRoomStatus),
+    clients: [...clients.values()].map(getClientStatus),
+    maps: mapCatalogue
+  };
+}
+
+// Public view for the web lobby page: players as they appear in the game lobby, no client ids
+function getWebLobbySnapshot() {
+  const lobbyRooms = [...rooms.values()].filter(room => !room.playback).map(room => ({
+    id: room.id,
+    map: shortMapName(room.map),
+    maxPlayers: parseInt(room.map.playerCount, 10),
+    state: room.inBattle ? 'battle' : 'lobby',
+    private: room.isPrivate,
+    locked: room.locked,
+    spectators: room.spectators.size,
+    freeSlots: room.playerSlots.filter(slot => slot.clientId === null && slot.type === 'none').length,
+    players: room.playerSlots
+      .filter(slot => slot.clientId !== null || isAiSlot(slot) || room.heldSlots.has(slot.index))
+      .map(slot => ({ slot: slot.index, name: slot.name, race: slot.race, team: slot.team, color: slot.color, ready: slot.ready, ai: isAiSlot(slot) }))
+  }));
+  return { online: clients.size, rooms: lobbyRooms };
+}
+
+if (CAPTURE_FILE) {
+  packetCapture = createCapture(CAPTURE_FILE, (err) => {
+    logError(`Packet capture to ${CAPTURE_FILE} stopped: ${err.message}`);
+  });
+  logWarning(`Capturing every frame to ${CAPTURE_FILE}; chat and player names are recorded too`);
+}
+
+if (WEB_PORT) {
+  webLobby = createWebLobby({ getLobby: getWebLobbySnapshot, log: logError });
+  webLobby.server.listen(WEB_PORT, HOST, () => {
+    log(`Web lobby on http://${HOST}:${WEB_PORT}`);
+  });
+}
+
+if (STATUS_PORT) {
+  const statusServer = createStatusServer({ getStatus: getServerStatus, metrics, log: logError });
+  statusServer.listen(STATUS_PORT, HOST, () => {
+    log(`Status listener on http://${HOST}:${STATUS_PORT} (/status, /rooms, /clients, /maps, /metrics)`);
+  });
+}
+
 setInterval(() => {
   const now = Date.now();
   for (const [id, client] of clients) {
     const idleFor = now - client.lastActivity;
     if (idleFor > IDLE_TIMEOUT_MS) {
       send(client.socket, { type: 'disconnect', reason: 'idle' });
-      disconnect(id, `idle timeout ${idleFor}ms`);
+      disconnect(id, 'idle timeout', true, `${idleFor}ms`);
     }
   }
 }, 10_000);
@@ -1204,15 +3381,15 @@ setInterval(() => {
     const currentCounter = roomPingCounters.get(room.id) ?? 0;
     roomPingCounters.set(room.id, currentCounter + 1);
 
-    for (const clientId of room.clients) {
+    for (const clientId of [...room.clients, ...room.spectators]) {
       const client = clients.get(clientId);
       if (!client || !client.socket || client.socket.destroyed) continue;
       // Only start lobby pings after the client has received the map packet
       if (!client.mapSent) continue;
 
       // 0x71 ping command with no payload, just terminator
-      log(`Room ${room.id}: sending ping #${currentCounter} to Client ${clientId}`);
-      sendCommandPacket(client.socket, ROOM_COMMANDS.ping, null);
+      logCategory('ping', `Room ${room.id}: sending ping #${currentCounter} to Client ${clientId}`, { roomId: room.id, clientId });
+      sendCommand(client.socket, 'ping');
     }
   }
 }, 300);
\ No newline at end of file
@@ -0,0 +1,145 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Campaign: a server-defined sequence of missions against AI opponents, played alone or in
+// co-op. Missions are loaded from a JSON file:
+//   { "missions": [ { "id": "outpost", "title": "...", "briefing": "...", "map": "PLAY01.SCN",
+//       "playerTeam": 1, "ai": [ { "difficulty": "easy" | "hard", "race": "humans" | "aliens", "team": 2 } ],
+//       "options": { "erupting_vents": 0 } } ] }
+// Progress is stored per player name; completing a mission unlocks the next one.
+
+const fs = require('fs');
+const { writeJsonFile } = require('./json_file');
+const { findMap } = require('./map_catalogue');
+const { resolveRoomOptionId } = require('./room_options');
+
+const PROGRESS_VERSION = 1;
+const AI_DIFFICULTIES = ['easy', 'hard'];
+const RACES = ['humans', 'aliens'];
+const MAX_MISSION_AI = 6; // slot 0 is reserved and at least one slot is left for a player
+const MAX_BRIEFING_LENGTH = 120; // shown as one lobby chat line
+
+function isTeam(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 7;
+}
+
+function validateMission(entry, position, mapCatalogue) {
+  const where = `mission #${position + 1}`;
+  if (!entry || typeof entry !== 'object') throw new Error(`${where}: must be an object`);
+  if (typeof entry.id !== 'string' || !/^[a-z0-9_-]+$/i.test(entry.id)) throw new Error(`${where}: id must be a short identifier`);
+  if (typeof entry.title !== 'string' || !/^[\x20-\x7e]+$/.test(entry.title)) throw new Error(`${where}: title must be an ascii string`);
+  const briefing = entry.briefing ?? '';
+  if (typeof briefing !== 'string' || briefing.length > MAX_BRIEFING_LENGTH || /[^\x20-\x7e]/.test(briefing)) {
+    throw new Error(`${where}: briefing must be an ascii string of at most ${MAX_BRIEFING_LENGTH} characters`);
+  }
+  const map = findMap(mapCatalogue, entry.map);
+  if (!map) throw new Error(`${where}: map ${entry.map} is not in the map catalogue`);
+  const playerTeam = entry.playerTeam ?? 1;
+  if (!isTeam(playerTeam)) throw new Error(`${where}: playerTeam must be 0..7`);
+  if (!Array.isArray(entry.ai) || entry.ai.length === 0 || entry.ai.length > MAX_MISSION_AI) {
+    throw new Error(`${where}: ai must list 1..${MAX_MISSION_AI} opponents`);
+  }
+  const ai = entry.ai.map((opponent, i) => {
+    if (!AI_DIFFICULTIES.includes(opponent.difficulty)) throw new Error(`${where} ai #${i + 1}: difficulty must be one of ${AI_DIFFICULTIES.join(', ')}`);
+    if (!RACES.includes(opponent.race)) throw new Error(`${where} ai #${i + 1}: race must be one of ${RACES.join(', ')}`);
+    if (!isTeam(opponent.team) || opponent.team === playerTeam) throw new Error(`${where} ai #${i + 1}: team must be 0..7 and differ from playerTeam`);
+    return { difficulty: opponent.difficulty, race: opponent.race, team: opponent.team };
+  });
+  const options = {};
+  for (const [key, value] of Object.entries(entry.options || {})) {
+    const id = resolveRoomOptionId(key);
+    if (id === null || !Number.isInteger(value) || value < 0 || value > 0xffff) throw new Error(`${where}: bad room option ${key}`);
+    options[id] = value;
+  }
+  return {
+    id: entry.id,
+    title: entry.title,
+    briefing,
+    map,
+    playerTeam,
+    ai,
+    options
+  };
+}
+
+// Load the mission list. A missing file is not an error: the campaign is simply disabled.
+function loadMissions(filePath, mapCatalogue) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  if (!data || !Array.isArray(data.missions)) throw new Error(`${filePath}: expected { "missions": [...] }`);
+  const missions = data.missions.map((entry, i) => validateMission(entry, i, mapCatalogue));
+  const ids = new Set(missions.map(mission => mission.id));
+  if (ids.size !== missions.length) throw new Error(`${filePath}: mission ids must be unique`);
+  return missions;
+}
+
+function createProgress(filePath) {
+  return { version: PROGRESS_VERSION, filePath, players: {} };
+}
+
+function loadProgress(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return createProgress(filePath);
+    throw err;
+  }
+  if (data.version !== PROGRESS_VERSION) throw new Error(`${filePath}: unsupported progress version ${data.version}`);
+  return { version: PROGRESS_VERSION, filePath, players: data.players || {} };
+}
+
+function saveProgress(progress) {
+  const { filePath, ...data } = progress;
+  writeJsonFile(filePath, data);
+}
+
+function playerKey(name) {
+  return String(name).toLowerCase();
+}
+
+// Number of missions open to a group: the next one after the furthest mission any of them
+// completed, so a player can be helped through a mission by friends who are further along
+function unlockedMissionCount(missions, progress, names) {
+  let unlocked = Math.min(1, missions.length);
+  for (const name of names) {
+    const entry = progress.players[playerKey(name)];
+    if (!entry) continue;
+    for (const id of entry.completed) {
+      const index = missions.findIndex(mission => mission.id === id);
+      if (index !== -1) unlocked = Math.max(unlocked, Math.min(index + 2, missions.length));
+    }
+  }
+  return unlocked;
+}
+
+function recordMissionComplete(progress, mission, names) {
+  for (const name of names) {
+    const key = playerKey(name);
+    const entry = progress.players[key] || { name, completed: [] };
+    entry.name = name;
+    if (!entry.completed.includes(mission.id)) entry.completed.push(mission.id);
+    progress.players[key] = entry;
+  }
+}
+
+module.exports = {
+  AI_DIFFICULTIES,
+  loadMissions,
+  createProgress,
+  loadProgress,
+  saveProgress,
+  unlockedMissionCount,
+  recordMissionComplete
+};
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Pretty-print and filter packet captures written by the server with CAPTURE_FILE
+// (see packet_capture.js for the file format).
+//   node capture_viewer.js <capture file | -> [options]
+// Options:
+//   --client <id,...>   frames of these clients
+//   --room <id,...>     frames of clients in these rooms
+//   --dir in|out        received or sent frames
+//   --cmd <name,...>    ROOM_COMMANDS names; "unknown" selects frames no command matched
+//   --opcode <hex>      frames starting with these bytes, e.g. 6f02
+//   --from <ms>         frames at or after this time (t, milliseconds since the capture header)
+//   --to <ms>           frames at or before this time
+//   --hex               full hex dump with an ASCII column instead of a one-line summary
+//   --json              print the matching lines as NDJSON for further processing
+//   --stats             count frames and bytes per direction and command instead of listing them
+
+const fs = require('fs');
+const readline = require('readline');
+const { CAPTURE_FORMAT, CAPTURE_VERSION } = require('./packet_capture');
+
+const SUMMARY_BYTES = 24; // frame bytes shown on a summary line
+const VALUE_OPTIONS = ['client', 'room', 'dir', 'cmd', 'opcode', 'from', 'to'];
+const FLAG_OPTIONS = ['hex', 'json', 'stats'];
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error('Usage: node capture_viewer.js <capture file | -> [--client ids] [--room ids] [--dir in|out] [--cmd names]');
+  console.error('       [--opcode hex] [--from ms] [--to ms] [--hex | --json | --stats]');
+  process.exit(1);
+}
+
+function parseIdList(value, option) {
+  const ids = value.split(',').map(id => parseInt(id, 10));
+  if (ids.some(id => !Number.isInteger(id))) usage(`--${option} expects comma separated numbers`);
+  return new Set(ids);
+}
+
+function parseArgs(argv) {
+  const options = { file: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--') || arg === '-') {
+      if (options.file !== null) usage(`Unexpected argument ${arg}`);
+      options.file = arg;
+      continue;
+    }
+    const name = arg.slice(2);
+    if (FLAG_OPTIONS.includes(name)) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      if (i + 1 >= argv.length) usage(`${arg} needs a value`);
+      options[name] = argv[++i];
+    } else {
+      usage(`Unknown option ${arg}`);
+    }
+  }
+  if (options.file === null) usage();
+  if (options.client) options.client = parseIdList(options.client, 'client');
+  if (options.room) options.room = parseIdList(options.room, 'room');
+  if (options.dir && options.dir !== 'in' && options.dir !== 'out') usage('--dir must be in or out');
+  if (options.cmd) options.cmd = new Set(options.cmd.split(',').map(name => name.trim()));
+  if (options.opcode) {
+    if (!/^([0-9a-f]{2})+$/i.test(options.opcode)) usage('--opcode expects hex bytes, e.g. 6f02');
+    options.opcode = options.opcode.toLowerCase();
+  }
+  for (const bound of ['from', 'to']) {
+    if (options[bound] === undefined) continue;
+    options[bound] = Number(options[bound]);
+    if (!Number.isFinite(options[bound])) usage(`--${bound} expects milliseconds`);
+  }
+  return options;
+}
+
+function matches(entry, options) {
+  if (options.client && !options.client.has(entry.client)) return false;
+  if (options.room && !options.room.has(entry.room)) return false;
+  if (options.dir && entry.dir !== options.dir) return false;
+  if (options.cmd && !options.cmd.has(entry.cmd ?? 'unknown')) return false;
+  if (options.opcode && !entry.frame.startsWith(options.opcode)) return false;
+  if (options.from !== undefined && entry.t < options.from) return false;
+  if (options.to !== undefined && entry.t > options.to) return false;
+  return true;
+}
+
+function spacedHex(buf) {
+  return [...buf].map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+// Classic hex dump: offset, 16 bytes in hex, printable ASCII
+function hexDump(buf) {
+  const lines = [];
+  for (let offset = 0; offset < buf.length; offset += 16) {
+    const row = buf.subarray(offset, offset + 16);
+    const ascii = [...row].map(byte => (byte >= 0x20 && byte <= 0x7e ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`    ${offset.toString(16).padStart(4, '0')}  ${spacedHex(row).padEnd(47)}  ${ascii}`);
+  }
+  return lines.join('\n');
+}
+
+function describeEntry(entry) {
+  const seconds = (entry.t / 1000).toFixed(3).padStart(9);
+  const direction = entry.dir === 'in' ? 'in ' : 'out';
+  const who = `c${entry.client ?? '-'} r${entry.room ?? '-'} s${entry.slot ?? '-'}`.padEnd(11);
+  const name = (entry.cmd ?? `unknown 0x${entry.frame.slice(0, 2)}`).padEnd(22);
+  return `${seconds}s ${direction} ${who} #${entry.counter.toString(16)} ${name}`;
+}
+
+function printEntry(entry, options) {
+  const frame = Buffer.from(entry.frame, 'hex');
+  if (options.hex) {
+    console.log(`${describeEntry(entry)} ${frame.length} bytes${entry.redacted ? ' (redacted)' : ''}`);
+    console.log(hexDump(frame));
+    return;
+  }
+  const shown = spacedHex(frame.subarray(0, SUMMARY_BYTES));
+  const more = frame.length > SUMMARY_BYTES ? ` ... (${frame.length} bytes)` : '';
+  console.log(`${describeEntry(entry)} ${shown}${more}${entry.redacted ? ' (redacted)' : ''}`);
+}
+
+function printStats(stats) {
+  const rows = [...stats.values()].sort((a, b) => b.frames - a.frames);
+  console.log('dir  command                   frames      bytes');
+  for (const row of rows) {
+    console.log(`${row.dir.padEnd(4)} ${row.name.padEnd(24)} ${String(row.frames).padStart(7)} ${String(row.bytes).padStart(10)}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const input = options.file === '-' ? process.stdin : fs.createReadStream(options.file);
+  input.on('error', (err) => {
+    console.error(`Cannot read ${options.file}: ${err.message}`);
+    process.exit(1);
+  });
+
+  const stats = new Map(); // "dir name" -> { dir, name, frames, bytes }
+  let lineNumber = 0;
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (_) {
+      console.error(`line ${lineNumber}: not JSON, skipped`); // a crash can leave a truncated last line
+      continue;
+    }
+    if (entry.format !== undefined) {
+      if (entry.format !== CAPTURE_FORMAT || entry.version !== CAPTURE_VERSION) {
+        console.error(`line ${lineNumber}: not a ${CAPTURE_FORMAT} version ${CAPTURE_VERSION} header`);
+        process.exit(1);
+      }
+      if (!options.json && !options.stats) console.log(`=== capture started ${entry.startedAt} ===`);
+      if (options.json) console.log(line);
+      continue;
+    }
+    if (!matches(entry, options)) continue;
+
+    if (options.stats) {
+      const name = entry.cmd ?? `unknown 0x${entry.frame.slice(0, 2)}`;
+      const key = `${entry.dir} ${name}`;
+      const row = stats.get(key) || { dir: entry.dir, name, frames: 0, bytes: 0 };
+      row.frames++;
+      row.bytes += entry.frame.length / 2;
+      stats.set(key, row);
+    } else if (options.json) {
+      console.log(line);
+    } else {
+      printEntry(entry, options);
+    }
+  }
+  if (options.stats) printStats(stats);
+}
+
+main();
@@ -0,0 +1,78 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Per-client reassembly of length-prefixed frames from the TCP byte stream.
+// Frame header mirrors sendCommandPacket() in app.js:
+//   byte 0: length low 8 bits
+//   byte 1: high nibble = rolling packet counter (0x0..0xF), low nibble = length high 4 bits
+// The 12-bit length covers the whole frame (header + command + data + 0x00 terminator).
+// TCP gives no guarantee that one 'data' event carries exactly one frame, so leftover
+// bytes are kept until the rest of the frame arrives.
+
+const FRAME_HEADER_LENGTH = 2;
+const MIN_FRAME_LENGTH = FRAME_HEADER_LENGTH + 1; // header plus at least one command byte
+const MAX_FRAME_LENGTH = 0x0FFF; // 12-bit length field
+
+function createFrameDecoder() {
+  return {
+    pending: Buffer.alloc(0),
+    expectedCounter: null // unknown until the first frame is seen
+  };
+}
+
+// Append a chunk and extract every complete frame from the stream.
+// Returns { frames: [{ counter, data }], warnings: string[] } where data is the frame
+// without its 2-byte header. A malformed header cannot be resynchronised (there is no
+// frame marker), so the pending bytes are discarded and a warning is reported.
+function pushFrameChunk(decoder, chunk) {
+  const frames = [];
+  const warnings = [];
+
+  decoder.pending = decoder.pending.length > 0 ? Buffer.concat([decoder.pending, chunk]) : chunk;
+
+  let offset = 0;
+  const buf = decoder.pending;
+  while (buf.length - offset >= FRAME_HEADER_LENGTH) {
+    const lenLow = buf[offset];
+    const lenHigh = buf[offset + 1] & 0x0f;
+    const counter = (buf[offset + 1] >> 4) & 0x0f;
+    const frameLength = lenLow | (lenHigh << 8);
+
+    if (frameLength < MIN_FRAME_LENGTH) {
+      warnings.push(`invalid frame length ${frameLength} at offset ${offset}, discarding ${buf.length - offset} buffered bytes`);
+      decoder.pending = Buffer.alloc(0);
+      decoder.expectedCounter = null;
+      return { frames, warnings };
+    }
+
+    // Wait for the rest of this frame
+    if (buf.length - offset < frameLength) break;
+
+    if (decoder.expectedCounter !== null && counter !== decoder.expectedCounter) {
+      warnings.push(`frame counter 0x${counter.toString(16)} out of sequence (expected 0x${decoder.expectedCounter.toString(16)})`);
+    }
+    // Resync on whatever the client sent so a single gap is reported once
+    decoder.expectedCounter = (counter + 1) & 0x0f;
+
+    frames.push({ counter, data: buf.subarray(offset + FRAME_HEADER_LENGTH, offset + frameLength) });
+    offset += frameLength;
+  }
+
+  // At most one partial frame remains; copy it so the consumed chunk memory can be released
+  decoder.pending = offset < buf.length ? Buffer.from(buf.subarray(offset)) : Buffer.alloc(0);
+
+  return { frames, warnings };
+}
+
+module.exports = {
+  FRAME_HEADER_LENGTH,
+  MAX_FRAME_LENGTH,
+  createFrameDecoder,
+  pushFrameChunk
+};
@@ -0,0 +1,39 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Saving of the server's JSON state files (leaderboard, tournament, polls, campaign progress)
+
+const fs = require('fs');
+const path = require('path');
+
+// Write to a temporary file first and rename it over the old one, so a crash never leaves a
+// half-written file behind
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = filePath + '.tmp';
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Copy a file that could not be loaded next to it, before the next save replaces it. Returns
+// the copy's path, or null when there is nothing to copy.
+function keepUnreadableFile(filePath) {
+  const copyPath = filePath + '.bad';
+  try {
+    fs.copyFileSync(filePath, copyPath);
+  } catch (_) {
+    return null;
+  }
+  return copyPath;
+}
+
+module.exports = {
+  writeJsonFile,
+  keepUnreadableFile
+};
@@ -0,0 +1,112 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Persistent leaderboard keyed by player name (as set with player_name 0x67).
+// Stored as a JSON file: { "version": 1, "players": { "<lowercased name>": { name, played, wins, losses, rating } } }
+// Ratings use Elo with the team average as each side's strength.
+
+const fs = require('fs');
+const { writeJsonFile } = require('./json_file');
+
+const LEADERBOARD_VERSION = 1;
+const INITIAL_RATING = 1000;
+const ELO_K_FACTOR = 32;
+
+function playerKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+function createLeaderboard(filePath) {
+  return { filePath, players: {} };
+}
+
+// Load the leaderboard, starting empty if the file does not exist yet
+function loadLeaderboard(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return createLeaderboard(filePath);
+    throw err;
+  }
+  if (data.version !== LEADERBOARD_VERSION) throw new Error(`${filePath}: unsupported leaderboard version ${data.version}`);
+  return { filePath, players: data.players || {} };
+}
+
+function saveLeaderboard(board) {
+  writeJsonFile(board.filePath, { version: LEADERBOARD_VERSION, players: board.players });
+}
+
+function getPlayerEntry(board, name) {
+  const key = playerKey(name);
+  if (!board.players[key]) {
+    board.players[key] = { name, played: 0, wins: 0, losses: 0, rating: INITIAL_RATING };
+  }
+  // Keep the most recent spelling of the name
+  board.players[key].name = name;
+  return board.players[key];
+}
+
+function averageRating(entries) {
+  return entries.reduce((sum, entry) => sum + entry.rating, 0) / entries.length;
+}
+
+// Record one finished battle. winners and losers are player names; both sides must be
+// non-empty for the battle to count. Returns the rating change per name.
+function recordMatchResult(board, winners, losers) {
+  if (winners.length === 0 || losers.length === 0) return {};
+
+  const winnerEntries = winners.map(name => getPlayerEntry(board, name));
+  const loserEntries = losers.map(name => getPlayerEntry(board, name));
+  const winnerRating = averageRating(winnerEntries);
+  const loserRating = averageRating(loserEntries);
+  const expectedWin = 1 / (1 + Math.pow(10, (loserRating - winnerRating) / 400));
+  const delta = Math.round(ELO_K_FACTOR * (1 - expectedWin));
+
+  const changes = {};
+  for (const entry of winnerEntries) {
+    entry.played++;
+    entry.wins++;
+    entry.rating += delta;
+    changes[entry.name] = delta;
+  }
+  for (const entry of loserEntries) {
+    entry.played++;
+    entry.losses++;
+    entry.rating -= delta;
+    changes[entry.name] = -delta;
+  }
+  return changes;
+}
+
+function rankedEntries(board) {
+  return Object.values(board.players)
+    .sort((a, b) => b.rating - a.rating || b.wins - a.wins || a.name.localeCompare(b.name));
+}
+
+function getTopPlayers(board, count) {
+  return rankedEntries(board).slice(0, count);
+}
+
+// Returns { rank, total, entry } or null when the player has no recorded battles
+function getPlayerRank(board, name) {
+  const ranked = rankedEntries(board);
+  const index = ranked.findIndex(entry => playerKey(entry.name) === playerKey(name));
+  if (index === -1) return null;
+  return { rank: index + 1, total: ranked.length, entry: ranked[index] };
+}
+
+module.exports = {
+  createLeaderboard,
+  loadLeaderboard,
+  saveLeaderboard,
+  recordMatchResult,
+  getTopPlayers,
+  getPlayerRank
+};
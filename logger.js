@@ -0,0 +1,105 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Leveled, structured logging. Every entry is one line: JSON by default, or plain text for
+// reading a local console. Entries carry a message plus context fields (clientId, roomId,
+// slot, command, ...):
+//   {"time":"...","level":"info","msg":"Room 1 battle started","roomId":1}
+// Noisy traffic is logged under a category (ping, color, relay, packet) instead of a level;
+// each category is switched on or off on its own and is independent of the level.
+// Startup settings come from the environment:
+//   LOG_LEVEL       debug | info | warn | error (default info)
+//   LOG_FORMAT      json | text (default json)
+//   LOG_CATEGORIES  comma separated categories to show, or "all" (default none)
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_CATEGORIES = {
+  ping: 'lobby and battle pings',
+  color: 'color sync between lobby screens',
+  relay: 'battle commands relayed to the room',
+  packet: 'raw frames sent and received'
+};
+const LOG_FORMATS = ['json', 'text'];
+
+function isLogLevel(level) {
+  return Object.hasOwn(LOG_LEVELS, level);
+}
+
+function isLogCategory(category) {
+  return Object.hasOwn(LOG_CATEGORIES, category);
+}
+
+// Logger options from environment variables; unknown values are configuration errors
+function loggerOptionsFromEnv(env) {
+  const level = (env.LOG_LEVEL || 'info').toLowerCase();
+  if (!isLogLevel(level)) throw new Error(`LOG_LEVEL must be one of ${Object.keys(LOG_LEVELS).join(', ')}`);
+  const format = (env.LOG_FORMAT || 'json').toLowerCase();
+  if (!LOG_FORMATS.includes(format)) throw new Error(`LOG_FORMAT must be one of ${LOG_FORMATS.join(', ')}`);
+  const names = (env.LOG_CATEGORIES || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  const categories = names.includes('all') ? Object.keys(LOG_CATEGORIES) : names;
+  for (const category of categories) {
+    if (!isLogCategory(category)) throw new Error(`LOG_CATEGORIES: unknown category ${category} (${Object.keys(LOG_CATEGORIES).join(', ')})`);
+  }
+  return { level, format, categories };
+}
+
+function createLogger({ level = 'info', format = 'json', categories = [], stream = process.stdout } = {}) {
+  return { level, format, categories: new Set(categories), stream };
+}
+
+function setLogLevel(logger, level) {
+  if (!isLogLevel(level)) throw new Error(`unknown log level ${level}`);
+  logger.level = level;
+}
+
+function setLogCategory(logger, category, enabled) {
+  if (!isLogCategory(category)) throw new Error(`unknown log category ${category}`);
+  if (enabled) logger.categories.add(category);
+  else logger.categories.delete(category);
+}
+
+// Check before building expensive messages (hex dumps and the like)
+function isLogEnabled(logger, level, category = null) {
+  if (category) return logger.categories.has(category);
+  return LOG_LEVELS[level] >= LOG_LEVELS[logger.level];
+}
+
+// Errors do not survive JSON.stringify; log their message instead
+function fieldValue(value) {
+  return value instanceof Error ? value.message : value;
+}
+
+function formatText(entry) {
+  const { time, level, category, msg, ...fields } = entry;
+  const context = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? JSON.stringify(value) : value}`);
+  return `[${time}] ${level.toUpperCase().padEnd(5)} ${category ? `[${category}] ` : ''}${msg}${context.length > 0 ? ' ' + context.join(' ') : ''}`;
+}
+
+// category entries are written at debug level whenever their category is on
+function writeLog(logger, level, category, message, fields = {}) {
+  if (!isLogEnabled(logger, level, category)) return;
+  const entry = { time: new Date().toISOString(), level };
+  if (category) entry.category = category;
+  entry.msg = message;
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = fieldValue(value);
+  }
+  logger.stream.write((logger.format === 'text' ? formatText(entry) : JSON.stringify(entry)) + '\n');
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_CATEGORIES,
+  loggerOptionsFromEnv,
+  createLogger,
+  setLogLevel,
+  setLogCategory,
+  isLogEnabled,
+  writeLog
+};
@@ -0,0 +1,70 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Catalogue of multiplayer maps the server can select for a room (room_map 0x69).
+// Entries are loaded from a JSON array:
+//   { "filename": "PLAY01.SCN", "displayName": "...", "type": "D" | "J", "maxPlayers": 1..8 }
+// filename and displayName are sent verbatim in the room_map packet, so they must match
+// what the game expects (the display name keeps the game's own line break and padding).
+
+const fs = require('fs');
+
+const MAP_TYPES = ['D', 'J']; // D=desert, J=jungle
+
+function validateMapEntry(entry, position) {
+  const where = `map entry #${position + 1}`;
+  if (!entry || typeof entry !== 'object') throw new Error(`${where}: must be an object`);
+  if (typeof entry.filename !== 'string' || !/^[\x20-\x7e]+$/.test(entry.filename)) {
+    throw new Error(`${where}: filename must be a non-empty ascii string`);
+  }
+  if (typeof entry.displayName !== 'string' || /[^\x0a\x20-\x7e]/.test(entry.displayName)) {
+    throw new Error(`${where}: displayName must be an ascii string`);
+  }
+  if (!MAP_TYPES.includes(entry.type)) {
+    throw new Error(`${where}: type must be one of ${MAP_TYPES.join(', ')}`);
+  }
+  if (!Number.isInteger(entry.maxPlayers) || entry.maxPlayers < 1 || entry.maxPlayers > 8) {
+    throw new Error(`${where}: maxPlayers must be an integer 1..8`);
+  }
+  return {
+    filename: entry.filename,
+    displayName: entry.displayName,
+    type: entry.type,
+    maxPlayers: entry.maxPlayers
+  };
+}
+
+// Read and validate the catalogue. Throws on a missing or malformed file so a broken
+// catalogue is noticed at startup rather than when a player switches maps.
+function loadMapCatalogue(filePath) {
+  const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`${filePath}: expected a non-empty array of maps`);
+  }
+  return entries.map(validateMapEntry);
+}
+
+// Find a map by 1-based catalogue number or by filename (case-insensitive)
+function findMap(catalogue, query) {
+  if (!query) return null;
+  if (/^\d+$/.test(query)) return catalogue[parseInt(query, 10) - 1] || null;
+  const filename = query.toUpperCase();
+  return catalogue.find(map => map.filename.toUpperCase() === filename) || null;
+}
+
+// First line of the display name, for chat listings
+function shortMapName(map) {
+  return (map.displayName || map.filename).split('\n')[0].trim();
+}
+
+module.exports = {
+  loadMapCatalogue,
+  findMap,
+  shortMapName
+};
@@ -0,0 +1,119 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// End-of-battle detection. The server never sees the game state, so the outcome is
+// inferred from what it does see:
+//   - departures: a player whose connection closes has left the battle
+//   - concessions: a player typing /surrender in battle chat (0x0e) gives up; "gg" is usually
+//     courtesy (the winner says it too), so it only counts once its sender leaves
+//   - confirmed victories: AI players never leave, so the room host or an operator confirms
+//     that the AI players of the other teams are beaten (/victory)
+// Once only one team has players left, that team wins and every other team loses.
+
+const { shortMapName } = require('./map_catalogue');
+
+const GOOD_GAME_PATTERN = /\bgg\b/i;
+
+function isAiSlot(slot) {
+  return slot.type === 'ai_easy' || slot.type === 'ai_hard';
+}
+
+// Battle record created when the battle starts, from the slots held by connected clients
+// and AI players
+function createBattleRecord(room, startedAt = Date.now()) {
+  return {
+    roomId: room.id,
+    startedAt,
+    map: { filename: room.map.filename, name: shortMapName(room.map) },
+    participants: room.playerSlots
+      .filter(slot => slot.clientId !== null || isAiSlot(slot))
+      .map(slot => ({ slot: slot.index, name: slot.name, team: slot.team, race: slot.race, ai: isAiSlot(slot) })),
+    departed: [], // slots in the order their players left
+    conceded: [], // slots whose players gave up
+    saidGoodGame: [], // slots whose players typed "gg" and may still be fighting
+    result: null
+  };
+}
+
+function isGoodGame(message) {
+  return GOOD_GAME_PATTERN.test(message);
+}
+
+// Team `team` has beaten the AI players of every other team
+function noteAiDefeated(battle, team) {
+  for (const p of battle.participants) {
+    if (p.ai && p.team !== team) noteConcession(battle, p.slot);
+  }
+}
+
+function noteGoodGame(battle, slot) {
+  if (!battle.saidGoodGame.includes(slot)) battle.saidGoodGame.push(slot);
+}
+
+// A player who said "gg" and then left gave up rather than being polite
+function noteDeparture(battle, slot) {
+  if (!battle.departed.includes(slot)) battle.departed.push(slot);
+  if (battle.saidGoodGame.includes(slot)) noteConcession(battle, slot);
+}
+
+function noteConcession(battle, slot) {
+  if (!battle.conceded.includes(slot)) battle.conceded.push(slot);
+}
+
+function isStillFighting(battle, participant) {
+  return !battle.departed.includes(participant.slot) && !battle.conceded.includes(participant.slot);
+}
+
+// Decide the outcome if the battle is over. Returns the match result, or null while at
+// least two teams are still fighting. A battle with fewer than two teams has no winner;
+// it ends as abandoned once every human has left.
+function decideOutcome(battle, endedAt = Date.now()) {
+  if (battle.result) return battle.result;
+
+  const teams = new Set(battle.participants.map(p => p.team));
+  const fighting = battle.participants.filter(p => isStillFighting(battle, p));
+  const humansFighting = fighting.some(p => !p.ai);
+  const fightingTeams = new Set(fighting.map(p => p.team));
+
+  let reason;
+  let winningTeam = null;
+  if (teams.size >= 2 && fightingTeams.size === 1) {
+    reason = 'last team standing';
+    [winningTeam] = fightingTeams;
+  } else if (!humansFighting) {
+    reason = 'abandoned';
+  } else {
+    return null;
+  }
+
+  const describe = (p) => ({ slot: p.slot, name: p.name, team: p.team, race: p.race, ai: p.ai });
+  battle.result = {
+    roomId: battle.roomId,
+    map: battle.map,
+    startedAt: new Date(battle.startedAt).toISOString(),
+    endedAt: new Date(endedAt).toISOString(),
+    durationMs: endedAt - battle.startedAt,
+    reason,
+    winners: battle.participants.filter(p => winningTeam !== null && p.team === winningTeam).map(describe),
+    losers: battle.participants.filter(p => winningTeam !== null && p.team !== winningTeam).map(describe),
+    departureOrder: [...battle.departed],
+    conceded: [...battle.conceded]
+  };
+  return battle.result;
+}
+
+module.exports = {
+  createBattleRecord,
+  isGoodGame,
+  noteAiDefeated,
+  noteGoodGame,
+  noteDeparture,
+  noteConcession,
+  decideOutcome
+};
@@ -0,0 +1,74 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Server metrics rendered in the Prometheus text exposition format.
+// Counters are incremented as things happen; gauges are read from a collect function at
+// scrape time, so they always reflect the live room and client maps.
+
+function createMetrics() {
+  return new Map(); // metric name -> { type, help, values | collect }
+}
+
+// Counters without labels start out at 0; labelled ones appear with their first increment
+function defineCounter(metrics, name, help, labelled = false) {
+  const values = new Map(); // label key -> { labels, value }
+  if (!labelled) values.set(labelKey({}), { labels: {}, value: 0 });
+  metrics.set(name, { type: 'counter', help, values });
+}
+
+// collect() returns a number or a list of { labels, value }
+function defineGauge(metrics, name, help, collect) {
+  metrics.set(name, { type: 'gauge', help, collect });
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function incrementCounter(metrics, name, labels = {}, amount = 1) {
+  const metric = metrics.get(name);
+  if (!metric) throw new Error(`unknown counter ${name}`);
+  const key = labelKey(labels);
+  const entry = metric.values.get(key) || { labels, value: 0 };
+  entry.value += amount;
+  metric.values.set(key, entry);
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([key, val]) => `${key}="${escapeLabelValue(val)}"`);
+  return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${value}`;
+}
+
+function renderPrometheus(metrics) {
+  const lines = [];
+  for (const [name, metric] of metrics) {
+    lines.push(`# HELP ${name} ${metric.help}`);
+    lines.push(`# TYPE ${name} ${metric.type}`);
+    if (metric.type === 'counter') {
+      for (const { labels, value } of metric.values.values()) lines.push(formatSample(name, labels, value));
+      continue;
+    }
+    const collected = metric.collect();
+    const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+    for (const { labels, value } of samples) lines.push(formatSample(name, labels, value));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  createMetrics,
+  defineCounter,
+  defineGauge,
+  incrementCounter,
+  renderPrometheus
+};
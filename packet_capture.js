@@ -0,0 +1,73 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Packet capture for protocol work: every frame the server receives or sends, written as
+// NDJSON. Every server start appends a header line, then one line per frame:
+//   { "format": "dark-colony-capture", "version": 1, "startedAt": "..." }
+//   { "t": 1234, "dir": "in", "client": 3, "room": 1, "slot": 2, "counter": 5, "cmd": "unit_move", "frame": "190a0b00" }
+// t is milliseconds since the preceding header, counter the frame header's rolling counter,
+// cmd the ROOM_COMMANDS name (null when no command matches) and frame the hex of the frame
+// after its 2-byte header: command bytes, data and the 0x00 terminator, exactly as on the wire.
+// Frames carrying a password or secret keep only their command bytes and get "redacted": true.
+// capture_viewer.js pretty-prints and filters capture files.
+
+const fs = require('fs');
+const path = require('path');
+const { ROOM_COMMANDS } = require('./protocol_commands');
+const { matchCommand } = require('./protocol_codec');
+
+const CAPTURE_FORMAT = 'dark-colony-capture';
+const CAPTURE_VERSION = 1;
+
+// Open a capture file, appending when it exists so restarts keep earlier traffic.
+// onError is called once if writing fails; the capture then stops recording.
+function createCapture(filePath, onError) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const startedAt = Date.now();
+  const stream = fs.createWriteStream(filePath, { flags: 'a' });
+  const capture = { filePath, startedAt, frameCount: 0, closed: false, stream };
+  stream.on('error', (err) => {
+    if (capture.closed) return;
+    capture.closed = true;
+    if (onError) onError(err);
+  });
+  writeLine(capture, { format: CAPTURE_FORMAT, version: CAPTURE_VERSION, startedAt: new Date(startedAt).toISOString() });
+  return capture;
+}
+
+function writeLine(capture, obj) {
+  capture.stream.write(JSON.stringify(obj) + '\n');
+}
+
+// frame: { dir: 'in' | 'out', client, room, slot, counter, cmd, body, redacted }; cmd is
+// decoded from body when not given
+function captureFrame(capture, { dir, client, room, slot, counter, cmd, body, redacted = false }) {
+  if (!capture || capture.closed) return;
+  capture.frameCount++;
+  const name = cmd === undefined ? matchCommand(body) : cmd;
+  const entry = {
+    t: Date.now() - capture.startedAt,
+    dir,
+    client,
+    room: room ?? null,
+    slot: slot ?? null,
+    counter,
+    cmd: name,
+    frame: (redacted ? body.subarray(0, name ? ROOM_COMMANDS[name].length : 1) : body).toString('hex')
+  };
+  if (redacted) entry.redacted = true;
+  writeLine(capture, entry);
+}
+
+module.exports = {
+  CAPTURE_FORMAT,
+  CAPTURE_VERSION,
+  createCapture,
+  captureFrame
+};
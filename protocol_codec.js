@@ -0,0 +1,193 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Decoder and encoder of every command, generated from COMMAND_LAYOUTS in protocol_commands.js.
+// Received frame bodies decode to { name, fields, data }:
+//   decodeCommand(Buffer.from([0x67, 0x02, 0x00, 0x42, 0x6f, 0x62, 0x00]))
+//     -> { name: 'player_name', fields: { slot: 2, name: 'Bob' }, data: <02 00 42 6f 62> }
+// and packets are built from named fields:
+//   encodePayload('player_ready', { state: 0x02, slot: 3 }) -> <02 03>
+
+const { ROOM_COMMANDS, COMMAND_LAYOUTS } = require('./protocol_commands');
+
+// Fixed-size field types: size in bytes, reader and writer
+const FIXED_TYPES = {
+  u8: { size: 1, read: (buf, offset) => buf.readUInt8(offset), write: (buf, value, offset) => buf.writeUInt8(value, offset) },
+  slot: { size: 1, read: (buf, offset) => buf.readUInt8(offset), write: (buf, value, offset) => buf.writeUInt8(value, offset) },
+  delta: { size: 1, read: (buf, offset) => buf.readUInt8(offset), write: (buf, value, offset) => buf.writeUInt8(value, offset) },
+  u16le: { size: 2, read: (buf, offset) => buf.readUInt16LE(offset), write: (buf, value, offset) => buf.writeUInt16LE(value, offset) },
+  u32le: { size: 4, read: (buf, offset) => buf.readUInt32LE(offset), write: (buf, value, offset) => buf.writeUInt32LE(value, offset) }
+};
+
+function fieldSize(field) {
+  if (FIXED_TYPES[field.type]) return FIXED_TYPES[field.type].size;
+  if (field.type === 'pad' || field.type === 'char') return 1;
+  if (field.type === 'bytes' && field.length !== undefined) return field.length;
+  return null; // variable size
+}
+
+// Read a number even when the payload ends inside it (missing bytes read as zero)
+function readFixed(type, data, offset) {
+  if (offset + type.size <= data.length) return type.read(data, offset);
+  const buf = Buffer.alloc(type.size);
+  data.copy(buf, 0, Math.min(offset, data.length));
+  return type.read(buf, 0);
+}
+
+function stringEnd(data, offset) {
+  const end = data.indexOf(0x00, offset);
+  return end === -1 ? data.length : end;
+}
+
+function compileDecoder(fields) {
+  const steps = fields.map((field) => {
+    const fixed = FIXED_TYPES[field.type];
+    if (fixed) {
+      return (data, offset, out) => {
+        out[field.name] = readFixed(fixed, data, offset);
+        return offset + fixed.size;
+      };
+    }
+    switch (field.type) {
+      case 'pad':
+        return (data, offset) => offset + 1;
+      case 'char':
+        return (data, offset, out) => {
+          out[field.name] = data.subarray(offset, offset + 1).toString('ascii');
+          return offset + 1;
+        };
+      case 'cstring':
+      case 'text':
+        return (data, offset, out) => {
+          const end = stringEnd(data, offset);
+          out[field.name] = data.subarray(Math.min(offset, end), end).toString('ascii');
+          return field.type === 'cstring' ? end + 1 : data.length;
+        };
+      case 'bytes':
+        return (data, offset, out) => {
+          const end = field.length === undefined ? data.length : offset + field.length;
+          out[field.name] = data.subarray(Math.min(offset, data.length), end);
+          return end;
+        };
+      default:
+        throw new Error(`unknown field type ${field.type}`);
+    }
+  });
+  return (data) => {
+    const out = {};
+    let offset = 0;
+    for (const step of steps) offset = step(data, offset, out);
+    return out;
+  };
+}
+
+function compileEncoder(commandName, fields) {
+  const parts = fields.map((field) => {
+    const fixed = FIXED_TYPES[field.type];
+    if (fixed) {
+      return (values) => {
+        const buf = Buffer.alloc(fixed.size);
+        fixed.write(buf, requireValue(commandName, field, values), 0);
+        return buf;
+      };
+    }
+    switch (field.type) {
+      case 'pad':
+        return () => Buffer.from([0x00]);
+      case 'char':
+        return (values) => {
+          const value = requireValue(commandName, field, values);
+          if (typeof value !== 'string' || value.length !== 1) throw new TypeError(`${commandName}.${field.name} must be one character`);
+          return Buffer.from(value, 'ascii');
+        };
+      case 'cstring':
+      case 'text':
+        return (values) => {
+          const value = Buffer.from(String(requireValue(commandName, field, values)), 'ascii');
+          return field.type === 'cstring' ? Buffer.concat([value, Buffer.from([0x00])]) : value;
+        };
+      case 'bytes':
+        return (values) => {
+          const value = values[field.name] === undefined && field.length === undefined ? Buffer.alloc(0) : requireValue(commandName, field, values);
+          const buf = Buffer.isBuffer(value) ? value : Buffer.from(value);
+          if (field.length !== undefined && buf.length !== field.length) throw new TypeError(`${commandName}.${field.name} must be ${field.length} bytes`);
+          return buf;
+        };
+      default:
+        throw new Error(`unknown field type ${field.type}`);
+    }
+  });
+  return (values) => Buffer.concat(parts.map(part => part(values)));
+}
+
+// Every field needs a value when encoding, except a rest-of-payload bytes field (empty)
+function requireValue(commandName, field, values) {
+  const value = values[field.name];
+  if (value === undefined || value === null) throw new TypeError(`${commandName}: missing field ${field.name}`);
+  return value;
+}
+
+function compileLayout(commandName, layout) {
+  const { fields, minLength } = Array.isArray(layout) ? { fields: layout, minLength: undefined } : layout;
+  let fixedLength = 0;
+  for (const field of fields) {
+    const size = fieldSize(field);
+    if (size === null) break;
+    fixedLength += size;
+  }
+  return {
+    minLength: minLength === undefined ? fixedLength : minLength,
+    decode: compileDecoder(fields),
+    encode: compileEncoder(commandName, fields)
+  };
+}
+
+const CODECS = Object.fromEntries(Object.keys(ROOM_COMMANDS).map((name) => {
+  if (!COMMAND_LAYOUTS[name]) throw new Error(`protocol_commands: no layout for ${name}`);
+  return [name, compileLayout(name, COMMAND_LAYOUTS[name])];
+}));
+
+// Command name of a frame body; the first ROOM_COMMANDS entry whose bytes start the body wins
+function matchCommand(body) {
+  for (const [name, pattern] of Object.entries(ROOM_COMMANDS)) {
+    if (body.length >= pattern.length && body.subarray(0, pattern.length).equals(pattern)) return name;
+  }
+  return null;
+}
+
+// Decode a received frame body (command bytes, data, 0x00 terminator). Returns null when no
+// command matches; fields is null when the payload is too short for the command's layout.
+// data is the raw payload without the terminator, for commands relayed unchanged.
+function decodeCommand(body) {
+  const name = matchCommand(body);
+  if (!name) return null;
+  let data = body.subarray(ROOM_COMMANDS[name].length);
+  if (data.length > 0 && data[data.length - 1] === 0x00) data = data.subarray(0, -1);
+  const codec = CODECS[name];
+  return { name, fields: data.length >= codec.minLength ? codec.decode(data) : null, data };
+}
+
+// Payload of a command built from its named fields, as passed to sendCommandPacket
+function encodePayload(name, fields = {}) {
+  const codec = CODECS[name];
+  if (!codec) throw new TypeError(`unknown command ${name}`);
+  return codec.encode(fields);
+}
+
+// Command bytes followed by the payload, for commands embedded in another packet
+function encodeCommand(name, fields = {}) {
+  return Buffer.concat([ROOM_COMMANDS[name], encodePayload(name, fields)]);
+}
+
+module.exports = {
+  matchCommand,
+  decodeCommand,
+  encodePayload,
+  encodeCommand
+};
@@ -62,21 +62,21 @@ const NULL_SEPARATOR = Buffer.from([0x00]);
 
 const ROOM_COMMANDS = {
   initial_packet: Buffer.from([0x64]), // initial handshake packet
-  begin_battle: Buffer.from([0x76]), // [0x76, 0x06, 0x00, 0x02]
+  begin_battle: Buffer.from([0x76]),
   ping: Buffer.from([0x71]),
-  player_ready: Buffer.from([0x68]), // plus player index byte in range 0x01..0x08 followed by readyness byte 0x00 or 0x01
+  player_ready: Buffer.from([0x68]),
   player_name: Buffer.from([0x67]),
   player_chat: Buffer.from([0x65]),
-  player_race: Buffer.from([0x66]),  // value after command is humans=0x00, aliens=0x01 
-  player_type: Buffer.from([0x6a]),  // value after command is ai_easy=0x00, ai_hard=0x01, gamer=0x02, none=0x03
-  player_color: Buffer.from([0x6b]), // value after command is in range 0x01..0x07
-  player_init: Buffer.from([0x6c]),  // value after command is [0x00, player index in range 0x00..0x07]
-  player_team: Buffer.from([0x6d]),  // value after command is in range 0x01..0x07
-  player_team2: Buffer.from([0x6e]), // value after command is in range 0x01..0x07
+  player_race: Buffer.from([0x66]),
+  player_type: Buffer.from([0x6a]),
+  player_color: Buffer.from([0x6b]),
+  player_init: Buffer.from([0x6c]),
+  player_team: Buffer.from([0x6d]),
+  player_team2: Buffer.from([0x6e]),
   room_param: Buffer.from([0x6f]),
-  room_erupting_vents: Buffer.from([0x6f, 0x02, 0x00]), // erupting vents command following by 0x00 or 0x01 and two zero bytes
-  room_renewable_vents: Buffer.from([0x6f, 0x03, 0x00]), // renewable vents command following by 0x00 or 0x01 and two zero bytes
-  room_map: Buffer.from([0x69]), // two consecutive null terminated strings: map filename, map display name
+  room_erupting_vents: Buffer.from([0x6f, 0x02, 0x00]), // room_param with the erupting vents id
+  room_renewable_vents: Buffer.from([0x6f, 0x03, 0x00]), // room_param with the renewable vents id
+  room_map: Buffer.from([0x69]),
 
   battle_ping1: Buffer.from([0x02]),
   battle_ping2: Buffer.from([0x08]),
@@ -84,10 +84,10 @@ const ROOM_COMMANDS = {
   button_unit: Buffer.from([0x0a]),
   button_upgrade: Buffer.from([0x0c]),
   button_superweapon: Buffer.from([0x0d]), // napalm or virus attack
-  battle_chat: Buffer.from([0x0e]), // header [0x06, 0xff] followed by null-terminated ascii string
+  battle_chat: Buffer.from([0x0e]),
   battle_ping3_data: Buffer.from([0x11]),
   battle_ping3: Buffer.from([0x12]),
-  game_speed: Buffer.from([0x13]), // 4 bytes, only first one is used, speed step 10%, values from 110%=0x3c to 200%=0x21
+  game_speed: Buffer.from([0x13]),
   unit_destination_data: Buffer.from([0x14]),
   unit_destination: Buffer.from([0x15]),
   unit_attack: Buffer.from([0x18]),
@@ -95,6 +95,64 @@ const ROOM_COMMANDS = {
   unit_inspire: Buffer.from([0x1a]),
 };
 
+// Payload layout of every ROOM_COMMANDS entry: the bytes after the command and before the
+// frame's 0x00 terminator. protocol_codec.js builds each command's decoder and encoder from
+// these. Field types:
+//   u8, u16le, u32le  unsigned integers
+//   slot              player slot ordinal 0..7 (one byte)
+//   delta             relative color step (one byte)
+//   pad               0x00 separator, not a decoded field
+//   char              one ASCII character
+//   cstring           ASCII string written with its own 0x00 terminator
+//   text              ASCII string ended by the frame terminator
+//   bytes             `length` raw bytes, or the rest of the payload when no length is given
+// A payload shorter than the fixed-size fields in front of the first cstring, text or
+// rest-of-payload field is malformed. minLength lowers that limit; numbers cut short then read
+// as zero-filled.
+const BATTLE_DATA = [{ name: 'data', type: 'bytes' }]; // battle commands the server relays unread
+
+const COMMAND_LAYOUTS = {
+  initial_packet: [{ name: 'param', type: 'u8' }, { type: 'pad' }, { name: 'slot', type: 'slot' }, { type: 'pad' }], // param: PLAYER_INIT_PARAM
+  begin_battle: [{ name: 'data', type: 'bytes' }], // [0x06, 0x00, 0x02] from the start button
+  ping: [],
+  player_ready: [{ name: 'state', type: 'u8' }, { name: 'slot', type: 'slot' }], // state: PLAYER_READY
+  player_name: [{ name: 'slot', type: 'slot' }, { type: 'pad' }, { name: 'name', type: 'cstring' }],
+  player_chat: [{ name: 'message', type: 'cstring' }],
+  player_race: [{ name: 'race', type: 'u8' }, { name: 'slot', type: 'slot' }], // race: PLAYER_RACE
+  player_type: [{ name: 'type', type: 'u8' }, { name: 'slot', type: 'slot' }], // type: PLAYER_TYPE
+  player_color: [{ name: 'delta', type: 'delta' }, { name: 'slot', type: 'slot' }],
+  player_init: [{ name: 'state', type: 'u8' }, { name: 'slot', type: 'slot' }], // state 0x01 on the client's own slot
+  player_team: [{ name: 'team', type: 'u8' }, { name: 'slot', type: 'slot' }],
+  player_team2: [{ name: 'team', type: 'u8' }, { name: 'slot', type: 'slot' }],
+  room_param: { fields: [{ name: 'id', type: 'u16le' }, { name: 'value', type: 'u16le' }], minLength: 1 },
+  room_erupting_vents: { fields: [{ name: 'value', type: 'u8' }], minLength: 0 }, // 0x00 or 0x01
+  room_renewable_vents: { fields: [{ name: 'value', type: 'u8' }], minLength: 0 }, // 0x00 or 0x01
+  room_map: [
+    { name: 'mapType', type: 'char' }, // J (jungle) or D (desert)
+    { name: 'playerCount', type: 'char' }, // '8'
+    { name: 'filename', type: 'cstring' },
+    { name: 'displayName', type: 'cstring' },
+    { name: 'commands', type: 'bytes' } // the room snapshot: lobby commands without terminators
+  ],
+
+  battle_ping1: { fields: [{ name: 'counter', type: 'u32le' }, { name: 'packetCounter', type: 'u32le' }], minLength: 0 },
+  battle_ping2: { fields: [{ name: 'magic', type: 'bytes', length: 2 }, { name: 'counter', type: 'u32le' }], minLength: 0 },
+  button_building: BATTLE_DATA,
+  button_unit: BATTLE_DATA,
+  button_upgrade: BATTLE_DATA,
+  button_superweapon: BATTLE_DATA,
+  battle_chat: [{ name: 'header', type: 'bytes', length: 2 }, { name: 'message', type: 'text' }], // header [0x06, 0xff]
+  battle_ping3_data: BATTLE_DATA,
+  battle_ping3: BATTLE_DATA,
+  // only the first byte is used: speed in 10% steps from 110%=0x3c to 200%=0x21
+  game_speed: { fields: [{ name: 'speed', type: 'u8' }, { name: 'reserved', type: 'bytes' }], minLength: 0 },
+  unit_destination_data: BATTLE_DATA,
+  unit_destination: BATTLE_DATA,
+  unit_attack: BATTLE_DATA,
+  unit_move: BATTLE_DATA,
+  unit_inspire: BATTLE_DATA,
+};
+
 module.exports = {
   PLAYER_RACE,
   PLAYER_TYPE,
@@ -104,5 +162,6 @@ module.exports = {
   ROOM_PARAM,
   PLAYER_INIT_PARAM,
   NULL_SEPARATOR,
-  ROOM_COMMANDS
+  ROOM_COMMANDS,
+  COMMAND_LAYOUTS
 };
@@ -0,0 +1,152 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Per-client flood protection with token buckets: one bucket for all frames of a client and
+// one per command (commands without their own limit share "default"). A bucket holds up to
+// `burst` tokens and refills at `rate` tokens per second; a frame or command without a token
+// is dropped. Every drop is a violation, and violations escalate within a sliding window:
+// drop silently, then warn the client, then disconnect it.
+// Limits can be overridden from a JSON file with the same shape as DEFAULT_RATE_LIMITS:
+//   { "commands": { "player_chat": { "rate": 0.5, "burst": 3 } }, "escalation": { "disconnectAfter": 50 } }
+
+const fs = require('fs');
+
+const DEFAULT_RATE_LIMITS = {
+  frames: { rate: 200, burst: 400 }, // all frames of one client
+  commands: {
+    player_chat: { rate: 1, burst: 5 },
+    room_param: { rate: 4, burst: 16 },
+    player_name: { rate: 2, burst: 8 },
+    player_race: { rate: 4, burst: 8 },
+    player_team: { rate: 4, burst: 8 },
+    player_color: { rate: 4, burst: 16 },
+    player_ready: { rate: 2, burst: 8 },
+    battle_chat: { rate: 1, burst: 5 },
+    default: { rate: 100, burst: 300 } // battle relays and everything else
+  },
+  chat: { maxLength: 120 }, // longest chat line: longer lines from clients are dropped, the server's own are cut to it
+  escalation: { windowMs: 10_000, warnAfter: 10, disconnectAfter: 40 }
+};
+
+// Never limited: the server's own battle ping exchange and the connection handshake
+const UNLIMITED_COMMANDS = new Set(['initial_packet', 'battle_ping1', 'battle_ping2']);
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && value > 0 && Number.isFinite(value);
+}
+
+function validateBucket(bucket, where) {
+  if (!bucket || !isPositiveNumber(bucket.rate) || !isPositiveNumber(bucket.burst)) {
+    throw new Error(`${where}: rate and burst must be positive numbers`);
+  }
+  return { rate: bucket.rate, burst: bucket.burst };
+}
+
+// Load limits, merging a file over the defaults. A missing file is not an error.
+function loadRateLimitConfig(filePath) {
+  let overrides = {};
+  if (filePath) {
+    try {
+      overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  const config = {
+    frames: validateBucket({ ...DEFAULT_RATE_LIMITS.frames, ...overrides.frames }, `${filePath} frames`),
+    commands: {},
+    chat: { ...DEFAULT_RATE_LIMITS.chat, ...overrides.chat },
+    escalation: { ...DEFAULT_RATE_LIMITS.escalation, ...overrides.escalation }
+  };
+  for (const [name, bucket] of Object.entries({ ...DEFAULT_RATE_LIMITS.commands, ...overrides.commands })) {
+    config.commands[name] = validateBucket(bucket, `${filePath} command ${name}`);
+  }
+  if (!Number.isInteger(config.chat.maxLength) || config.chat.maxLength < 1) throw new Error(`${filePath}: chat.maxLength must be a positive integer`);
+  const { windowMs, warnAfter, disconnectAfter } = config.escalation;
+  if (!isPositiveNumber(windowMs) || !Number.isInteger(warnAfter) || !Number.isInteger(disconnectAfter) || warnAfter < 1 || disconnectAfter <= warnAfter) {
+    throw new Error(`${filePath}: escalation needs windowMs > 0 and 1 <= warnAfter < disconnectAfter`);
+  }
+  return config;
+}
+
+function createBucket(limit, now) {
+  return { tokens: limit.burst, updatedAt: now };
+}
+
+function takeToken(bucket, limit, now) {
+  bucket.tokens = Math.min(limit.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.rate);
+  bucket.updatedAt = now;
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+}
+
+function createClientLimiter(config, now = Date.now()) {
+  return {
+    config,
+    frames: createBucket(config.frames, now),
+    commands: new Map(), // limit name -> bucket, created on first use
+    violations: [], // timestamps inside the escalation window
+    warned: false, // warning sent in the current window
+    dropped: {}, // kind -> count over the connection's lifetime
+    warnings: 0
+  };
+}
+
+function allowFrame(limiter, now = Date.now()) {
+  return takeToken(limiter.frames, limiter.config.frames, now);
+}
+
+function allowCommand(limiter, commandName, now = Date.now()) {
+  if (UNLIMITED_COMMANDS.has(commandName)) return true;
+  const limitName = limiter.config.commands[commandName] ? commandName : 'default';
+  let bucket = limiter.commands.get(limitName);
+  if (!bucket) {
+    bucket = createBucket(limiter.config.commands[limitName], now);
+    limiter.commands.set(limitName, bucket);
+  }
+  return takeToken(bucket, limiter.config.commands[limitName], now);
+}
+
+function isChatTooLong(limiter, message) {
+  return message.length > limiter.config.chat.maxLength;
+}
+
+// Count a dropped frame or command. Returns what the caller should do about the client:
+// 'drop' (nothing more), 'warn' (tell the client once per window) or 'disconnect'.
+function recordViolation(limiter, kind, now = Date.now()) {
+  const { windowMs, warnAfter, disconnectAfter } = limiter.config.escalation;
+  limiter.dropped[kind] = (limiter.dropped[kind] || 0) + 1;
+  limiter.violations = limiter.violations.filter(t => now - t < windowMs);
+  if (limiter.violations.length === 0) limiter.warned = false;
+  limiter.violations.push(now);
+
+  const count = limiter.violations.length;
+  if (count >= disconnectAfter) return 'disconnect';
+  if (count >= warnAfter && !limiter.warned) {
+    limiter.warned = true;
+    limiter.warnings++;
+    return 'warn';
+  }
+  return 'drop';
+}
+
+function totalDropped(limiter) {
+  return Object.values(limiter.dropped).reduce((sum, count) => sum + count, 0);
+}
+
+module.exports = {
+  loadRateLimitConfig,
+  createClientLimiter,
+  allowFrame,
+  allowCommand,
+  isChatTooLong,
+  recordViolation,
+  totalDropped
+};
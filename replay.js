@@ -0,0 +1,145 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Battle replay files. See REPLAY_FORMAT.md for the layout.
+// One NDJSON file per battle: a header line with the room snapshot, one line per relayed
+// frame, and an end line when recording stops.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const REPLAY_FORMAT = 'dark-colony-replay';
+const REPLAY_VERSION = 1;
+const REPLAY_EXTENSION = '.dcr';
+
+// Room snapshot stored in the header: everything sendRoomData needs to rebuild the lobby
+function buildReplaySnapshot(room) {
+  return {
+    roomId: room.id,
+    map: { ...room.map },
+    slots: room.playerSlots.map(slot => ({
+      index: slot.index,
+      name: slot.name,
+      race: slot.race,
+      type: slot.type,
+      team: slot.team,
+      color: slot.color,
+      human: slot.clientId !== null
+    })),
+    params: [...room.params]
+  };
+}
+
+// Start recording a battle. Returns a recorder, or null if the file cannot be created.
+// onError is called once if writing fails later; the recorder then stops accepting frames.
+function createReplayRecorder(dir, room, onError) {
+  const startedAt = Date.now();
+  const stamp = new Date(startedAt).toISOString().replace(/[:.]/g, '-');
+  const filePath = path.join(dir, `replay-${stamp}-room${room.id}${REPLAY_EXTENSION}`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  const stream = fs.createWriteStream(filePath, { flags: 'wx' });
+  const recorder = { filePath, startedAt, frameCount: 0, closed: false, stream };
+
+  stream.on('error', (err) => {
+    if (recorder.closed) return;
+    recorder.closed = true;
+    if (onError) onError(err);
+  });
+
+  writeLine(recorder, {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    startedAt: new Date(startedAt).toISOString(),
+    snapshot: buildReplaySnapshot(room)
+  });
+  return recorder;
+}
+
+function writeLine(recorder, obj) {
+  recorder.stream.write(JSON.stringify(obj) + '\n');
+}
+
+// Record one relayed frame: command name from ROOM_COMMANDS and its data bytes (without
+// the command byte and terminator), as the server broadcast it.
+function recordReplayFrame(recorder, slot, command, data) {
+  if (!recorder || recorder.closed) return;
+  recorder.frameCount++;
+  writeLine(recorder, { t: Date.now() - recorder.startedAt, slot, cmd: command, data: Buffer.from(data || []).toString('hex') });
+}
+
+// Write the end line and close the file. extra is merged into the end line (e.g. the match result).
+function closeReplayRecorder(recorder, reason, extra = {}) {
+  if (!recorder || recorder.closed) return;
+  writeLine(recorder, { end: true, t: Date.now() - recorder.startedAt, reason, frames: recorder.frameCount, ...extra });
+  recorder.closed = true;
+  recorder.stream.end();
+}
+
+// Replay files in dir, newest first (file names start with the battle start time)
+function listReplays(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return names.filter(name => name.endsWith(REPLAY_EXTENSION)).sort().reverse();
+}
+
+// Load a replay for playback. The file is streamed line by line so a long replay does not
+// hold up the battles running meanwhile. Resolves to { header, frames, end } where end is null
+// for a file that was cut short; rejects if the file is not a replay this version understands.
+async function readReplay(filePath) {
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let header = null;
+  const frames = [];
+  let end = null;
+  try {
+    for await (const line of lines) {
+      if (line.trim() === '') continue;
+      if (!header) {
+        header = JSON.parse(line);
+        if (header.format !== REPLAY_FORMAT) throw new Error(`${filePath}: not a ${REPLAY_FORMAT} file`);
+        if (header.version !== REPLAY_VERSION) throw new Error(`${filePath}: unsupported replay version ${header.version}`);
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (_) {
+        break; // a crash can leave a truncated last line
+      }
+      if (entry.end) {
+        end = entry;
+        break;
+      }
+      frames.push({ t: entry.t, slot: entry.slot, cmd: entry.cmd, data: Buffer.from(entry.data, 'hex') });
+    }
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+  if (!header) throw new Error(`${filePath}: empty replay`);
+  return { header, frames, end };
+}
+
+module.exports = {
+  REPLAY_FORMAT,
+  REPLAY_VERSION,
+  REPLAY_EXTENSION,
+  createReplayRecorder,
+  recordReplayFrame,
+  closeReplayRecorder,
+  listReplays,
+  readReplay
+};
@@ -0,0 +1,24 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Request path handling shared by the HTTP listeners (status_server.js, web_lobby.js)
+
+// Path of a request without trailing slashes, or null when the request target is not a valid
+// URL (e.g. "//"); listeners answer 400 then
+function requestPath(req) {
+  try {
+    return new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '') || '/';
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = {
+  requestPath
+};
@@ -0,0 +1,85 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Per-room option state carried by room_param (0x6f) packets.
+// Wire format of one parameter (after the 0x6f command byte): [id u16 LE][value u16 LE], see
+// the room_param layout in protocol_commands.js.
+// The room snapshot always carries ROOM_PARAM_COUNT parameters, ids 0..15.
+// Defaults can be overridden from a JSON file:
+//   { "defaults": { "erupting_vents": 1, "7": 91 }, "rooms": { "2": { "renewable_vents": 1 } } }
+// Keys are option names from ROOM_PARAM or numeric parameter ids.
+
+const fs = require('fs');
+const { ROOM_PARAM } = require('./protocol_commands');
+
+const ROOM_PARAM_COUNT = 16;
+
+// Values observed from the original server (vents erupting, not renewable)
+const BUILTIN_ROOM_PARAMS = [0x00, 0x00, 0x01, 0x00, 0x04, 0x04, 0x00, 0x5b, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00];
+
+// name -> parameter id, e.g. { erupting_vents: 2, renewable_vents: 3 }
+const ROOM_OPTION_IDS = Object.fromEntries(Object.entries(ROOM_PARAM).map(([name, buf]) => [name, buf[0]]));
+
+// Resolve an option name or numeric id to a parameter id, or null if unknown
+function resolveRoomOptionId(key) {
+  if (Object.prototype.hasOwnProperty.call(ROOM_OPTION_IDS, key)) return ROOM_OPTION_IDS[key];
+  if (!/^\d+$/.test(String(key))) return null;
+  const id = parseInt(key, 10);
+  return id < ROOM_PARAM_COUNT ? id : null;
+}
+
+function roomOptionName(id) {
+  return Object.keys(ROOM_OPTION_IDS).find(name => ROOM_OPTION_IDS[name] === id) || `param${id}`;
+}
+
+function applyOverrides(params, overrides, source) {
+  for (const [key, value] of Object.entries(overrides || {})) {
+    const id = resolveRoomOptionId(key);
+    if (id === null) throw new Error(`${source}: unknown room option "${key}"`);
+    if (!Number.isInteger(value) || value < 0 || value > 0xffff) {
+      throw new Error(`${source}: value of "${key}" must be an integer 0..65535`);
+    }
+    params[id] = value;
+  }
+}
+
+// Load room option defaults. A missing file is not an error: the built-in values apply.
+function loadRoomOptionConfig(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { defaults: {}, rooms: {} };
+    throw err;
+  }
+  const result = { defaults: config.defaults || {}, rooms: config.rooms || {} };
+  // Validate eagerly so a typo is reported at startup
+  applyOverrides([...BUILTIN_ROOM_PARAMS], result.defaults, `${filePath} defaults`);
+  for (const [roomId, overrides] of Object.entries(result.rooms)) {
+    applyOverrides([...BUILTIN_ROOM_PARAMS], overrides, `${filePath} room ${roomId}`);
+  }
+  return result;
+}
+
+// Initial parameter values for a room: built-in, then file defaults, then per-room overrides
+function createRoomParams(config, roomId) {
+  const params = [...BUILTIN_ROOM_PARAMS];
+  applyOverrides(params, config.defaults, 'defaults');
+  applyOverrides(params, config.rooms[String(roomId)], `room ${roomId}`);
+  return params;
+}
+
+module.exports = {
+  ROOM_PARAM_COUNT,
+  ROOM_OPTION_IDS,
+  resolveRoomOptionId,
+  roomOptionName,
+  loadRoomOptionConfig,
+  createRoomParams
+};
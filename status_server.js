@@ -0,0 +1,64 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Optional read-only HTTP listener next to the TCP game port:
+//   GET /status    everything below in one document
+//   GET /rooms     rooms with their slots, map and battle state
+//   GET /clients   connected clients with room, slot and battle ping latency
+//   GET /maps      the map catalogue
+//   GET /metrics   Prometheus counters and gauges
+// The JSON documents are built by the game server through getStatus(); this module only serves them.
+
+const http = require('http');
+const { renderPrometheus } = require('./metrics');
+const { requestPath } = require('./request_path');
+
+const STATUS_SECTIONS = ['rooms', 'clients', 'maps'];
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+// options: { getStatus() -> { rooms, clients, maps, ... }, metrics, log(message, fields) for errors }
+function createStatusServer({ getStatus, metrics, log }) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+    const pathname = requestPath(req);
+    if (pathname === null) {
+      sendJson(res, 400, { error: 'bad request' });
+      return;
+    }
+    try {
+      if (pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(renderPrometheus(metrics));
+      } else if (pathname === '/' || pathname === '/status') {
+        sendJson(res, 200, getStatus());
+      } else if (STATUS_SECTIONS.includes(pathname.slice(1))) {
+        sendJson(res, 200, getStatus()[pathname.slice(1)]);
+      } else {
+        sendJson(res, 404, { error: 'not found', endpoints: ['/status', ...STATUS_SECTIONS.map(section => `/${section}`), '/metrics'] });
+      }
+    } catch (err) {
+      log(`Status request ${pathname} failed`, { error: err });
+      sendJson(res, 500, { error: 'internal error' });
+    }
+  });
+  server.on('error', (err) => { log('Status server error', { error: err }); });
+  return server;
+}
+
+module.exports = {
+  createStatusServer
+};
@@ -0,0 +1,259 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Tournament brackets (single or double elimination) with JSON persistence.
+// Players are identified by name. Every match takes its two players from sources:
+//   { seed: n }         n-th seeded player (a missing seed is a bye)
+//   { winner: 'M3' }    winner of match M3
+//   { loser: 'M3' }     loser of match M3
+// A match against a bye is decided automatically. Double elimination ends with a single
+// grand final between the winners and losers bracket champions (no bracket reset).
+
+const fs = require('fs');
+const { writeJsonFile } = require('./json_file');
+
+const TOURNAMENT_VERSION = 1;
+const TOURNAMENT_FORMATS = ['single', 'double'];
+const BYE = null; // a resolved source with no player; undefined means not decided yet
+
+function createTournament(format) {
+  if (!TOURNAMENT_FORMATS.includes(format)) throw new Error(`unknown tournament format ${format}`);
+  return {
+    version: TOURNAMENT_VERSION,
+    format,
+    status: 'signup', // signup -> running -> finished
+    players: [],
+    matches: [],
+    champion: null,
+    createdAt: new Date().toISOString()
+  };
+}
+
+function sameName(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+function hasPlayer(tournament, name) {
+  return tournament.players.some(player => sameName(player, name));
+}
+
+function addPlayer(tournament, name) {
+  if (tournament.status !== 'signup' || hasPlayer(tournament, name)) return false;
+  tournament.players.push(name);
+  return true;
+}
+
+function removePlayer(tournament, name) {
+  if (tournament.status !== 'signup') return false;
+  const index = tournament.players.findIndex(player => sameName(player, name));
+  if (index === -1) return false;
+  tournament.players.splice(index, 1);
+  return true;
+}
+
+// Seed the given names (best first) ahead of everybody else, signing up any that are missing.
+// The remaining players keep their sign-up order.
+function seedPlayers(tournament, names) {
+  if (tournament.status !== 'signup') return false;
+  const seeded = [];
+  for (const name of names) {
+    if (seeded.some(player => sameName(player, name))) continue;
+    seeded.push(tournament.players.find(player => sameName(player, name)) ?? name);
+  }
+  tournament.players = [...seeded, ...tournament.players.filter(player => !seeded.some(s => sameName(s, player)))];
+  return true;
+}
+
+// Standard seeding order for a bracket of the given size: 1 meets size, 2 meets size-1, ...
+// arranged so the top seeds can only meet in the last rounds.
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+function buildMatches(format, playerCount) {
+  let size = 2;
+  while (size < playerCount) size *= 2;
+  const rounds = Math.log2(size);
+
+  const matches = [];
+  const addMatch = (bracket, round, a, b) => {
+    const match = { id: `M${matches.length + 1}`, bracket, round, a, b, winner: undefined, loser: undefined, roomId: null };
+    matches.push(match);
+    return match;
+  };
+
+  // Winners bracket
+  const order = seedOrder(size);
+  let winnersRound = [];
+  for (let i = 0; i < size; i += 2) {
+    winnersRound.push(addMatch('W', 1, { seed: order[i] }, { seed: order[i + 1] }));
+  }
+  const winnersRounds = [winnersRound];
+  for (let round = 2; round <= rounds; round++) {
+    const next = [];
+    for (let i = 0; i < winnersRound.length; i += 2) {
+      next.push(addMatch('W', round, { winner: winnersRound[i].id }, { winner: winnersRound[i + 1].id }));
+    }
+    winnersRound = next;
+    winnersRounds.push(next);
+  }
+  if (format === 'single') return matches;
+
+  // Losers bracket: losers of winners round 1 play each other, then each round the
+  // survivors meet the players dropping down from the next winners round.
+  let survivors;
+  let losersRound = 1;
+  if (rounds === 1) {
+    survivors = [{ loser: winnersRounds[0][0].id }];
+  } else {
+    survivors = [];
+    const firstLosers = winnersRounds[0];
+    for (let i = 0; i < firstLosers.length; i += 2) {
+      survivors.push({ winner: addMatch('L', losersRound, { loser: firstLosers[i].id }, { loser: firstLosers[i + 1].id }).id });
+    }
+    for (let round = 2; round <= rounds; round++) {
+      losersRound++;
+      // Drop-downs are paired in reverse order so early rematches are less likely
+      const droppers = [...winnersRounds[round - 1]].reverse();
+      survivors = survivors.map((source, i) => ({ winner: addMatch('L', losersRound, source, { loser: droppers[i].id }).id }));
+      if (survivors.length > 1) {
+        losersRound++;
+        const paired = [];
+        for (let i = 0; i < survivors.length; i += 2) {
+          paired.push({ winner: addMatch('L', losersRound, survivors[i], survivors[i + 1]).id });
+        }
+        survivors = paired;
+      }
+    }
+  }
+  addMatch('GF', 1, { winner: winnersRound[0].id }, survivors[0]);
+  return matches;
+}
+
+// Player for a source: a name, BYE, or undefined while the feeding match is undecided
+function resolveSource(tournament, source) {
+  if (source.seed !== undefined) return tournament.players[source.seed - 1] ?? BYE;
+  const match = findMatch(tournament, source.winner || source.loser);
+  return source.winner ? match.winner : match.loser;
+}
+
+// Fill in players and decide bye matches until nothing changes
+function advanceByes(tournament) {
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const match of tournament.matches) {
+      if (match.winner !== undefined) continue;
+      const a = resolveSource(tournament, match.a);
+      const b = resolveSource(tournament, match.b);
+      if (a === undefined || b === undefined) continue;
+      if (a === BYE || b === BYE) {
+        match.winner = a === BYE ? b : a;
+        match.loser = BYE;
+        changed = true;
+      }
+    }
+  }
+  const final = tournament.matches[tournament.matches.length - 1];
+  if (final.winner !== undefined) {
+    tournament.status = 'finished';
+    tournament.champion = final.winner;
+  }
+}
+
+function startTournament(tournament) {
+  if (tournament.status !== 'signup') throw new Error('tournament already started');
+  if (tournament.players.length < 2) throw new Error('at least 2 players are needed');
+  tournament.matches = buildMatches(tournament.format, tournament.players.length);
+  tournament.status = 'running';
+  tournament.startedAt = new Date().toISOString();
+  advanceByes(tournament);
+}
+
+function findMatch(tournament, matchId) {
+  return tournament.matches.find(match => match.id === matchId) || null;
+}
+
+// Players of a match, or null for a side that is not known yet
+function matchPlayers(tournament, match) {
+  const a = resolveSource(tournament, match.a);
+  const b = resolveSource(tournament, match.b);
+  return [a === undefined ? null : a, b === undefined ? null : b];
+}
+
+// Matches waiting to be played: both players known and no result yet
+function readyMatches(tournament) {
+  if (tournament.status !== 'running') return [];
+  return tournament.matches.filter(match => {
+    if (match.winner !== undefined) return false;
+    const [a, b] = matchPlayers(tournament, match);
+    return a !== null && b !== null;
+  });
+}
+
+// Record the winner of a ready match. Returns false if the match or winner is not valid.
+function reportResult(tournament, matchId, winnerName) {
+  const match = findMatch(tournament, matchId);
+  if (!match || match.winner !== undefined || !readyMatches(tournament).includes(match)) return false;
+  const [a, b] = matchPlayers(tournament, match);
+  if (!sameName(a, winnerName) && !sameName(b, winnerName)) return false;
+  match.winner = sameName(a, winnerName) ? a : b;
+  match.loser = match.winner === a ? b : a;
+  match.roomId = null;
+  advanceByes(tournament);
+  return true;
+}
+
+// undefined cannot be stored in JSON: persist undecided results as absent fields
+function loadTournament(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  if (data.version !== TOURNAMENT_VERSION) throw new Error(`${filePath}: unsupported tournament version ${data.version}`);
+  for (const match of data.matches) {
+    if (!('winner' in match)) match.winner = undefined;
+    if (!('loser' in match)) match.loser = undefined;
+    match.roomId = null; // rooms do not survive a restart
+  }
+  return data;
+}
+
+function saveTournament(filePath, tournament) {
+  writeJsonFile(filePath, tournament);
+}
+
+function deleteTournament(filePath) {
+  fs.rmSync(filePath, { force: true });
+}
+
+module.exports = {
+  TOURNAMENT_FORMATS,
+  createTournament,
+  hasPlayer,
+  addPlayer,
+  removePlayer,
+  seedPlayers,
+  startTournament,
+  findMatch,
+  matchPlayers,
+  readyMatches,
+  reportResult,
+  loadTournament,
+  saveTournament,
+  deleteTournament
+};
@@ -0,0 +1,124 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Fan polls for tournament players. A poll is open for a fixed window; lobby users nominate
+// players by name and every voter (a connection or an address, decided by the caller's
+// voter key) casts one vote. Closed polls are kept with their tallies so the result can be
+// applied to the next tournament bracket.
+
+const fs = require('fs');
+const { writeJsonFile } = require('./json_file');
+
+const POLLS_VERSION = 1;
+const POLL_HISTORY_LENGTH = 10; // closed polls kept in the file
+const MAX_NOMINEES = 16;
+
+function createPollStore() {
+  return { version: POLLS_VERSION, nextId: 1, polls: [] };
+}
+
+// seats: how many of the best voted players the poll puts into the bracket (0 = all with votes)
+function openPoll(store, durationMs, seats) {
+  if (getOpenPoll(store)) throw new Error('a poll is already open');
+  const now = Date.now();
+  const poll = {
+    id: store.nextId++,
+    status: 'open',
+    openedAt: new Date(now).toISOString(),
+    closesAt: new Date(now + durationMs).toISOString(),
+    seats,
+    nominees: [],
+    votes: {}, // voterKey -> nominee name
+    applied: false // set once the result went into a tournament
+  };
+  store.polls.push(poll);
+  return poll;
+}
+
+function getOpenPoll(store) {
+  return store.polls.find(poll => poll.status === 'open') || null;
+}
+
+// Most recent closed poll, or null
+function getLastClosedPoll(store) {
+  const closed = store.polls.filter(poll => poll.status === 'closed');
+  return closed.length > 0 ? closed[closed.length - 1] : null;
+}
+
+function findNominee(poll, name) {
+  return poll.nominees.find(nominee => nominee.toLowerCase() === String(name).toLowerCase()) || null;
+}
+
+function nominate(poll, name) {
+  if (poll.status !== 'open') throw new Error('the poll is closed');
+  if (findNominee(poll, name)) throw new Error(`${name} is already nominated`);
+  if (poll.nominees.length >= MAX_NOMINEES) throw new Error(`the poll already has ${MAX_NOMINEES} nominees`);
+  poll.nominees.push(name);
+}
+
+// Returns the nominee's name as it was nominated
+function castVote(poll, voterKey, name) {
+  if (poll.status !== 'open') throw new Error('the poll is closed');
+  const nominee = findNominee(poll, name);
+  if (!nominee) throw new Error(`${name} is not nominated`);
+  if (voterKey in poll.votes) throw new Error(`you already voted for ${poll.votes[voterKey]}`);
+  poll.votes[voterKey] = nominee;
+  return nominee;
+}
+
+// Nominees with their vote counts, most votes first; ties keep the nomination order
+function tallyPoll(poll) {
+  const counts = new Map(poll.nominees.map(name => [name, 0]));
+  for (const name of Object.values(poll.votes)) counts.set(name, counts.get(name) + 1);
+  return [...counts].map(([name, votes]) => ({ name, votes })).sort((a, b) => b.votes - a.votes);
+}
+
+// Players the poll puts into the bracket, best first: everybody with a vote, limited to the seats
+function pollWinners(poll) {
+  const voted = tallyPoll(poll).filter(entry => entry.votes > 0).map(entry => entry.name);
+  return poll.seats > 0 ? voted.slice(0, poll.seats) : voted;
+}
+
+function closePoll(store, poll) {
+  poll.status = 'closed';
+  poll.closedAt = new Date().toISOString();
+  const closed = store.polls.filter(p => p.status === 'closed');
+  const excess = closed.length - POLL_HISTORY_LENGTH;
+  if (excess > 0) store.polls = store.polls.filter(p => !closed.slice(0, excess).includes(p));
+}
+
+function loadPolls(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return createPollStore();
+    throw err;
+  }
+  if (data.version !== POLLS_VERSION) throw new Error(`${filePath}: unsupported polls version ${data.version}`);
+  return data;
+}
+
+function savePolls(filePath, store) {
+  writeJsonFile(filePath, store);
+}
+
+module.exports = {
+  createPollStore,
+  openPoll,
+  getOpenPoll,
+  getLastClosedPoll,
+  nominate,
+  castVote,
+  tallyPoll,
+  pollWinners,
+  closePoll,
+  loadPolls,
+  savePolls
+};
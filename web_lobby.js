@@ -0,0 +1,139 @@
+/*!
+ * (c) 2025 Nikolajs Agafonovs
+ * Licensed under the AGPL-3.0-or-later license.
+ * This server may be used only in open source projects.
+ * Source code must remain publicly available under the same license.
+ */
+
+'use strict';
+
+// Public read-only web lobby: a page listing the rooms and their players, kept live with
+// server-sent events.
+//   GET /            lobby.html
+//   GET /lobby.json  the current lobby snapshot
+//   GET /events      text/event-stream; a "lobby" event with the snapshot on connect and on every change
+// The game server builds the snapshot (getLobby) and calls notify() whenever room state may have
+// changed. Snapshots are also compared on a timer while anyone watches, so changes the game
+// server does not announce still reach the page.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { requestPath } = require('./request_path');
+
+const LOBBY_PAGE_FILE = path.join(__dirname, 'lobby.html');
+const CHECK_INTERVAL_MS = 1000; // snapshot comparison while anyone watches
+const KEEPALIVE_INTERVAL_MS = 20_000; // comment line that keeps proxies from closing idle streams
+const MAX_WATCHERS = 200; // open event streams
+const RETRY_MS = 3000; // browser reconnect delay after a dropped stream
+
+function writeEvent(res, json) {
+  res.write(`event: lobby\ndata: ${json}\n\n`);
+}
+
+// options: { getLobby() -> snapshot object, log(message, fields) for errors }
+function createWebLobby({ getLobby, log }) {
+  const page = fs.readFileSync(LOBBY_PAGE_FILE);
+  const watchers = new Set(); // open /events responses
+  let lastJson = null; // last snapshot sent to the watchers
+  let checkTimer = null;
+  let keepaliveTimer = null;
+  let notifyPending = false;
+
+  function publishIfChanged() {
+    if (watchers.size === 0) return;
+    const json = JSON.stringify(getLobby());
+    if (json === lastJson) return;
+    lastJson = json;
+    for (const res of watchers) writeEvent(res, json);
+  }
+
+  // Coalesce bursts of room updates into one comparison
+  function notify() {
+    if (notifyPending || watchers.size === 0) return;
+    notifyPending = true;
+    setImmediate(() => {
+      notifyPending = false;
+      publishIfChanged();
+    });
+  }
+
+  function startTimers() {
+    if (checkTimer) return;
+    checkTimer = setInterval(publishIfChanged, CHECK_INTERVAL_MS);
+    keepaliveTimer = setInterval(() => {
+      for (const res of watchers) res.write(': keepalive\n\n');
+    }, KEEPALIVE_INTERVAL_MS);
+  }
+
+  function stopTimers() {
+    clearInterval(checkTimer);
+    clearInterval(keepaliveTimer);
+    checkTimer = null;
+    keepaliveTimer = null;
+    lastJson = null;
+  }
+
+  function openEventStream(req, res) {
+    if (watchers.size >= MAX_WATCHERS) {
+      res.writeHead(503, { 'Retry-After': '30' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    const json = JSON.stringify(getLobby());
+    if (watchers.size === 0) lastJson = json;
+    writeEvent(res, json);
+    watchers.add(res);
+    startTimers();
+    req.on('close', () => {
+      watchers.delete(res);
+      if (watchers.size === 0) stopTimers();
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+    const pathname = requestPath(req);
+    if (pathname === null) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('bad request\n');
+      return;
+    }
+    try {
+      if (pathname === '/' || pathname === '/index.html') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(page);
+      } else if (pathname === '/lobby.json') {
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(getLobby()));
+      } else if (pathname === '/events') {
+        openEventStream(req, res);
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('not found\n');
+      }
+    } catch (err) {
+      log(`Web lobby request ${pathname} failed`, { error: err });
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    }
+  });
+  server.on('error', (err) => { log('Web lobby server error', { error: err }); });
+
+  return { server, notify };
+}
+
+module.exports = {
+  createWebLobby
+};